@@ -0,0 +1,115 @@
+import React from 'react';
+import { Aircraft } from './types';
+import { isAlerting, isStale } from './aircraftStatus';
+
+interface AircraftMapProps {
+  aircraft: Aircraft[];
+  radiusKm: number;
+  selectedIcao: string | null;
+  onSelect: (icao24: string | null) => void;
+}
+
+// Plane silhouette pointing north, roughly 20 units across
+const PLANE_PATH =
+  'M0,-10 L1.5,-3 L9,1.5 L9,3.5 L1.5,1.5 L1,7 L4,9 L4,10.5 L0,9.5 ' +
+  'L-4,10.5 L-4,9 L-1,7 L-1.5,1.5 L-9,3.5 L-9,1.5 L-1.5,-3 Z';
+
+const CARDINALS = [
+  { label: 'N', dx: 0, dy: -1 },
+  { label: 'E', dx: 1, dy: 0 },
+  { label: 'S', dx: 0, dy: 1 },
+  { label: 'W', dx: -1, dy: 0 }
+];
+
+// Azimuthal projection centred on the user: the server already reports
+// each aircraft's great-circle distance and bearing, so north is up and
+// distances from the centre are true to scale. No map tiles are needed.
+const project = (plane: Aircraft): { x: number; y: number } => {
+  const bearing = (plane.azimuth_deg * Math.PI) / 180;
+  return {
+    x: plane.distance_km * Math.sin(bearing),
+    y: -plane.distance_km * Math.cos(bearing)
+  };
+};
+
+const AircraftMap: React.FC<AircraftMapProps> = ({ aircraft, radiusKm, selectedIcao, onSelect }) => {
+  const extent = radiusKm * 1.1;
+  const unit = extent / 250;
+  const selected = aircraft.find(plane => plane.icao24 === selectedIcao) || null;
+
+  return (
+    <div className="aircraft-map">
+      <svg
+        viewBox={`${-extent} ${-extent} ${extent * 2} ${extent * 2}`}
+        className="aircraft-map-canvas"
+        onClick={() => onSelect(null)}
+      >
+        <circle r={radiusKm} className="map-radius" />
+        <circle r={radiusKm / 2} className="map-ring" />
+        <line x1={-radiusKm} y1={0} x2={radiusKm} y2={0} className="map-ring" />
+        <line x1={0} y1={-radiusKm} x2={0} y2={radiusKm} className="map-ring" />
+
+        {CARDINALS.map(({ label, dx, dy }) => (
+          <text
+            key={label}
+            x={dx * (radiusKm + 12 * unit)}
+            y={dy * (radiusKm + 12 * unit)}
+            fontSize={12 * unit}
+            className="map-cardinal"
+          >
+            {label}
+          </text>
+        ))}
+
+        <text x={4 * unit} y={-radiusKm / 2 - 3 * unit} fontSize={9 * unit} className="map-ring-label">
+          {Math.round(radiusKm / 2)} km
+        </text>
+
+        <circle r={5 * unit} className="map-user" />
+
+        {aircraft.map(plane => {
+          const { x, y } = project(plane);
+          const isSelected = plane.icao24 === selectedIcao;
+
+          return (
+            <g
+              key={plane.icao24}
+              className={`map-aircraft${isSelected ? ' selected' : ''}${isAlerting(plane) ? ' alert' : ''}${isStale(plane) ? ' stale' : ''}`}
+              onClick={(event) => {
+                event.stopPropagation();
+                onSelect(plane.icao24);
+              }}
+            >
+              <path
+                d={PLANE_PATH}
+                transform={`translate(${x} ${y}) rotate(${plane.true_track || 0}) scale(${unit * (isSelected ? 1.4 : 1)})`}
+              />
+              <text x={x + 12 * unit} y={y + 4 * unit} fontSize={10 * unit}>
+                {plane.callsign}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {selected && (
+        <div className="map-details">
+          <h3>{selected.callsign}</h3>
+          <span className="aircraft-id">ICAO: {selected.icao24}</span>
+          <p>
+            {selected.compass_direction} {Math.round(selected.azimuth_deg)}° · {selected.distance_km.toFixed(1)} km
+            {' · '}
+            {selected.altitude ? `${Math.round(selected.altitude)}m` : 'Unknown altitude'}
+            {' · '}
+            {selected.velocity ? `${Math.round(selected.velocity * 1.94384)} knots` : 'Unknown speed'}
+          </p>
+          <button onClick={() => onSelect(null)} className="map-details-close">
+            Close
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AircraftMap;
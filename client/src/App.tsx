@@ -7,39 +7,130 @@ import {
   FaCompass, 
   FaGlobe,
   FaRedo,
-  FaInfoCircle
+  FaInfoCircle,
+  FaClock,
+  FaMapMarkedAlt,
+  FaExclamationTriangle,
+  FaHistory,
+  FaPlay,
+  FaPause,
+  FaBinoculars
 } from 'react-icons/fa';
+import AircraftMap from './AircraftMap';
+import { isAlerting, isStale } from './aircraftStatus';
+import {
+  Aircraft,
+  AircraftDiff,
+  AlertType,
+  AircraftResponse,
+  ApproachingResponse,
+  IncomingAircraft,
+  ReplayRangeResponse,
+  ReplayResponse,
+  BadgeKind,
+  Sighting,
+  SightingResponse,
+  SightingStatsResponse,
+  UserLocation
+} from './types';
 import './App.css';
 
-interface Aircraft {
-  id: number;
-  icao24: string;
-  callsign: string;
-  origin_country: string;
-  latitude: number;
-  longitude: number;
-  altitude: number;
-  velocity: number;
-  true_track: number;
-  distance_km: number;
-  last_updated: string;
-}
-
-interface UserLocation {
-  latitude: number;
-  longitude: number;
-}
-
-interface AircraftResponse {
-  success: boolean;
-  data: {
-    aircraft: Aircraft[];
-    user_location: UserLocation;
-    search_radius_km: number;
-    timestamp: string;
-    count: number;
+// Look-ahead for the "Incoming" section
+const INCOMING_WINDOW_MIN = 15;
+const INCOMING_DISTANCE_KM = 10;
+
+// Replay playback: recorded seconds advanced per real second, and how long
+// the timeline must rest before the position is fetched
+const REPLAY_SPEEDS = [1, 10, 60, 300];
+const REPLAY_TICK_MS = 1000;
+const REPLAY_FETCH_DELAY_MS = 200;
+
+// When entering replay, start this far before the newest recording
+const REPLAY_DEFAULT_WINDOW_S = 3600;
+
+// The sightings logbook needs an account; its API key is created on the
+// first "Spotted" click and kept in the browser
+const API_KEY_STORAGE_KEY = 'airplaneTracker.apiKey';
+const SPOT_NOTICE_MS = 5000;
+
+const formatEta = (seconds: number): string => {
+  if (seconds < 60) return 'now';
+  return `in ${Math.round(seconds / 60)} min`;
+};
+
+const COMPASS_NAMES: Record<string, string> = {
+  N: 'North',
+  NNE: 'North North East',
+  NE: 'North East',
+  ENE: 'East North East',
+  E: 'East',
+  ESE: 'East South East',
+  SE: 'South East',
+  SSE: 'South South East',
+  S: 'South',
+  SSW: 'South South West',
+  SW: 'South West',
+  WSW: 'West South West',
+  W: 'West',
+  WNW: 'West North West',
+  NW: 'North West',
+  NNW: 'North North West'
+};
+
+const MOTION_LABELS: Record<string, string> = {
+  toward: 'Moving toward you',
+  away: 'Moving away from you',
+  crossing: 'Passing across'
+};
+
+const ALERT_LABELS: Record<AlertType, string> = {
+  hijack: 'Squawk 7500 · Hijack',
+  radio_failure: 'Squawk 7600 · Radio failure',
+  emergency: 'Squawk 7700 · Emergency',
+  ident: 'Ident',
+  rapid_descent: 'Rapid descent',
+  lost_contact: 'Lost contact'
+};
+
+const formatSeenAge = (seconds: number): string =>
+  seconds < 60 ? `${seconds}s ago` : `${Math.round(seconds / 60)} min ago`;
+
+// "First A319-131 and first British Airways" for the badges a sighting earned
+const formatFirsts = (sighting: Sighting, firsts: BadgeKind[]): string => {
+  const labels: Record<BadgeKind, string> = {
+    airframe: sighting.registration || sighting.icao24,
+    type: sighting.model || sighting.typecode || '',
+    airline: sighting.airline_name || sighting.airline_icao || ''
   };
-}
+  return firsts.map(kind => `first ${labels[kind]}`).join(' and ');
+};
+
+type SightingStats = SightingStatsResponse['data'];
+
+const authHeaders = (apiKey: string) => ({ headers: { Authorization: `Bearer ${apiKey}` } });
+
+const getLogbookStats = async (apiKey: string): Promise<SightingStats> => {
+  const response = await axios.get<SightingStatsResponse>('/api/sightings/stats', authHeaders(apiKey));
+  return response.data.data;
+};
+
+const PHASE_LABELS: Record<string, string> = {
+  departing: 'Departing',
+  arriving: 'Arriving',
+  cruising: 'Cruising'
+};
+
+// Merge a stream diff into the current list, keeping it sorted by distance
+const applyAircraftDiff = (current: Aircraft[], diff: AircraftDiff): Aircraft[] => {
+  const changed = new Map<string, Aircraft>();
+  diff.added.concat(diff.updated).forEach(plane => changed.set(plane.icao24, plane));
+  const removed = new Set(diff.removed);
+
+  return current
+    .filter(plane => !removed.has(plane.icao24) && !changed.has(plane.icao24))
+    .concat(Array.from(changed.values()))
+    .sort((a, b) => a.distance_km - b.distance_km);
+};
 
 const App: React.FC = () => {
   const [userLocation, setUserLocation] = useState<UserLocation | null>(null);
@@ -50,6 +141,17 @@ const App: React.FC = () => {
   const [showSettings, setShowSettings] = useState(false);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [lastUpdate, setLastUpdate] = useState<Date | null>(null);
+  const [streaming, setStreaming] = useState(false);
+  const [incoming, setIncoming] = useState<IncomingAircraft[]>([]);
+  const [selectedIcao, setSelectedIcao] = useState<string | null>(null);
+  const [replayMode, setReplayMode] = useState(false);
+  const [replayRange, setReplayRange] = useState<{ start: number; end: number } | null>(null);
+  const [replayTime, setReplayTime] = useState<number | null>(null);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(REPLAY_SPEEDS[1]);
+  const [spotted, setSpotted] = useState<Set<string>>(new Set());
+  const [logbook, setLogbook] = useState<SightingStats | null>(null);
+  const [spotNotice, setSpotNotice] = useState<string | null>(null);
 
   // Get user's current location
   const getUserLocation = useCallback(() => {
@@ -66,9 +168,6 @@ const App: React.FC = () => {
         const { latitude, longitude } = position.coords;
         setUserLocation({ latitude, longitude });
         setLoading(false);
-        
-        // Fetch aircraft data immediately after getting location
-        fetchAircraftData(latitude, longitude);
       },
       (error) => {
         setError(`Unable to get your location: ${error.message}`);
@@ -83,7 +182,7 @@ const App: React.FC = () => {
   }, []);
 
   // Fetch aircraft data from API
-  const fetchAircraftData = async (lat: number, lon: number) => {
+  const fetchAircraftData = useCallback(async (lat: number, lon: number) => {
     try {
       setLoading(true);
       setError(null);
@@ -104,56 +203,269 @@ const App: React.FC = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [searchRadius]);
 
-  // Calculate direction relative to user
-  const getDirection = (aircraftLat: number, aircraftLon: number): string => {
-    if (!userLocation) return 'Unknown';
+  // Fetch aircraft predicted to pass overhead soon
+  const fetchIncoming = async (lat: number, lon: number) => {
+    try {
+      const response = await axios.get<ApproachingResponse>(
+        `/api/aircraft/approaching?lat=${lat}&lon=${lon}&within_min=${INCOMING_WINDOW_MIN}&within_km=${INCOMING_DISTANCE_KM}`
+      );
 
-    const latDiff = aircraftLat - userLocation.latitude;
-    const lonDiff = aircraftLon - userLocation.longitude;
+      if (response.data.success) {
+        setIncoming(response.data.data.aircraft);
+      }
+    } catch (err) {
+      console.error('Error fetching incoming aircraft:', err);
+    }
+  };
 
-    let direction = '';
+  // Direction from the user, as computed by the server (true bearing)
+  const getDirection = (plane: Aircraft): string => {
+    if (!plane.compass_direction) return 'Unknown';
+    return `${plane.compass_direction} ${Math.round(plane.azimuth_deg)}°`;
+  };
 
-    // North/South
-    if (Math.abs(latDiff) > Math.abs(lonDiff)) {
-      direction += latDiff > 0 ? 'North' : 'South';
-    } else {
-      direction += lonDiff > 0 ? 'East' : 'West';
-    }
+  // e.g. "UAL123 · United Airlines · SFO → ORD"
+  const formatFlightSummary = (plane: Aircraft): string => {
+    const route = plane.origin && plane.destination ? `${plane.origin} → ${plane.destination}` : null;
+    return [plane.callsign, plane.airline_name, route].filter(Boolean).join(' · ');
+  };
 
-    // Add secondary direction if significant
-    if (Math.abs(latDiff) > 0.1 && Math.abs(lonDiff) > 0.1) {
-      if (Math.abs(latDiff) > Math.abs(lonDiff)) {
-        direction += lonDiff > 0 ? ' East' : ' West';
-      } else {
-        direction += latDiff > 0 ? ' North' : ' South';
-      }
-    }
+  // e.g. "Arriving · JFK 12 km NE"
+  const formatAirportContext = (plane: Aircraft): string | null => {
+    const airport = plane.nearest_airport;
+    if (!airport) return null;
 
-    return direction;
+    const code = airport.iata || airport.ident;
+    const phase = plane.flight_phase ? `${PHASE_LABELS[plane.flight_phase]} · ` : '';
+    return `${phase}${code} ${airport.distance_km.toFixed(0)} km ${airport.compass_direction}`;
+  };
+
+  // e.g. "Boeing 737-800 · N12345 · United Airlines"
+  const formatAircraftIdentity = (plane: Aircraft): string => {
+    const type = [plane.manufacturer, plane.model].filter(Boolean).join(' ') || plane.typecode;
+    return [type, plane.registration, plane.operator].filter(Boolean).join(' · ');
   };
 
   // Format aircraft information for display
   const formatAircraftInfo = (plane: Aircraft): string => {
-    const direction = getDirection(plane.latitude, plane.longitude);
+    const direction = COMPASS_NAMES[plane.compass_direction] || 'Unknown';
+    const bearing = plane.compass_direction ? ` (${Math.round(plane.azimuth_deg)}°)` : '';
     const callsign = plane.callsign || 'Unknown Aircraft';
     const altitude = plane.altitude ? `${Math.round(plane.altitude)}m` : 'Unknown altitude';
     const speed = plane.velocity ? `${Math.round(plane.velocity * 1.94384)} knots` : 'Unknown speed';
+    const motion = plane.relative_motion ? `, ${MOTION_LABELS[plane.relative_motion].toLowerCase()}` : '';
     
-    return `Look to your ${direction}, there is a ${callsign} at ${altitude} flying at ${speed}`;
+    return `Look to your ${direction}${bearing}, there is a ${callsign} at ${altitude} flying at ${speed}${motion}`;
+  };
+
+  // Describe where an incoming aircraft will be at its closest pass
+  const formatIncomingInfo = (plane: IncomingAircraft): string => {
+    const direction = COMPASS_NAMES[plane.predicted_compass_direction] || 'Unknown';
+    const altitude = plane.predicted_position.altitude !== null
+      ? ` at ${Math.round(plane.predicted_position.altitude)}m`
+      : '';
+
+    return `Closest pass ${plane.min_distance_km.toFixed(1)} km away${altitude}, ` +
+      `look ${direction} (${Math.round(plane.predicted_azimuth_deg)}°) ` +
+      `about ${Math.round(plane.predicted_elevation_deg)}° above the horizon`;
+  };
+
+  // Switch to recorded traffic, starting an hour before the newest sample
+  const startReplay = async () => {
+    try {
+      const response = await axios.get<ReplayRangeResponse>('/api/replay/range');
+      const { start, end } = response.data.data;
+
+      if (start === null || end === null) {
+        setError('No recorded traffic to replay yet');
+        return;
+      }
+
+      setError(null);
+      setReplayRange({ start, end });
+      setReplayTime(Math.max(start, end - REPLAY_DEFAULT_WINDOW_S));
+      setReplayPlaying(false);
+      setReplayMode(true);
+    } catch (err) {
+      console.error('Error fetching replay range:', err);
+      setError('Failed to load recorded traffic.');
+    }
+  };
+
+  // Stored logbook key, creating an account the first time
+  const getApiKey = async (): Promise<string> => {
+    const stored = localStorage.getItem(API_KEY_STORAGE_KEY);
+    if (stored) return stored;
+
+    const response = await axios.post<{ data: { api_key: string } }>('/api/account', {});
+    localStorage.setItem(API_KEY_STORAGE_KEY, response.data.data.api_key);
+    return response.data.data.api_key;
+  };
+
+  const fetchLogbook = async (apiKey: string) => {
+    try {
+      setLogbook(await getLogbookStats(apiKey));
+    } catch (err) {
+      console.error('Error fetching logbook:', err);
+    }
+  };
+
+  // Log an aircraft as seen from the current location
+  const spotAircraft = async (plane: Aircraft) => {
+    if (!userLocation) return;
+
+    try {
+      const apiKey = await getApiKey();
+      await axios.post('/api/location/store', userLocation, authHeaders(apiKey));
+      const response = await axios.post<SightingResponse>('/api/sightings', { icao24: plane.icao24 }, authHeaders(apiKey));
+      const { sighting, firsts } = response.data.data;
+
+      setSpotted(current => new Set(current).add(plane.icao24));
+      if (firsts.length > 0) {
+        setSpotNotice(`${sighting.callsign || sighting.icao24}: ${formatFirsts(sighting, firsts)}!`);
+      }
+      fetchLogbook(apiKey);
+    } catch (err) {
+      console.error('Error logging sighting:', err);
+      // The account behind a stored key may have been deleted; the next
+      // click starts a new logbook
+      if (axios.isAxiosError(err) && err.response?.status === 401) {
+        localStorage.removeItem(API_KEY_STORAGE_KEY);
+      }
+      setError('Failed to log the sighting.');
+    }
+  };
+
+  const stopReplay = () => {
+    setReplayMode(false);
+    setReplayPlaying(false);
   };
 
-  // Auto-refresh effect
+  // Load live aircraft right away when the location or radius changes or
+  // replay ends, without waiting for the stream or the next poll
   useEffect(() => {
-    if (!autoRefresh || !userLocation) return;
+    if (replayMode || !userLocation) return;
+    fetchAircraftData(userLocation.latitude, userLocation.longitude);
+  }, [replayMode, userLocation, fetchAircraftData]);
+
+  // Live updates pushed by the server over Server-Sent Events
+  useEffect(() => {
+    if (replayMode || !autoRefresh || !userLocation || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(
+      `/api/aircraft/stream?lat=${userLocation.latitude}&lon=${userLocation.longitude}&radius=${searchRadius}`
+    );
+
+    source.addEventListener('snapshot', (event) => {
+      const snapshot: AircraftResponse['data'] = JSON.parse((event as MessageEvent).data);
+      setAircraft(snapshot.aircraft);
+      setLastUpdate(new Date());
+      setStreaming(true);
+    });
+
+    source.addEventListener('diff', (event) => {
+      const diff: AircraftDiff = JSON.parse((event as MessageEvent).data);
+      setAircraft(current => applyAircraftDiff(current, diff));
+      setLastUpdate(new Date());
+    });
+
+    // EventSource reconnects on its own; poll until the next snapshot arrives
+    source.onerror = () => setStreaming(false);
+
+    return () => {
+      source.close();
+      setStreaming(false);
+    };
+  }, [replayMode, autoRefresh, userLocation, searchRadius]);
+
+  // Auto-refresh effect, used while the live stream is unavailable
+  useEffect(() => {
+    if (replayMode || !autoRefresh || !userLocation || streaming) return;
 
     const interval = setInterval(() => {
       fetchAircraftData(userLocation.latitude, userLocation.longitude);
     }, 30000); // Refresh every 30 seconds
 
     return () => clearInterval(interval);
-  }, [autoRefresh, userLocation, searchRadius]);
+  }, [replayMode, autoRefresh, userLocation, streaming, fetchAircraftData]);
+
+  // Replayed aircraft for the timeline position, fetched once scrubbing
+  // pauses
+  useEffect(() => {
+    if (!replayMode || !userLocation || replayTime === null) return;
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await axios.get<ReplayResponse>(
+          `/api/replay/nearby?lat=${userLocation.latitude}&lon=${userLocation.longitude}` +
+          `&radius=${searchRadius}&at=${replayTime}`
+        );
+
+        if (!cancelled && response.data.success) {
+          setAircraft(response.data.data.aircraft);
+        }
+      } catch (err) {
+        console.error('Error fetching replayed aircraft:', err);
+      }
+    }, REPLAY_FETCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [replayMode, userLocation, searchRadius, replayTime]);
+
+  // Advance the timeline while playing
+  useEffect(() => {
+    if (!replayPlaying) return;
+
+    const interval = setInterval(() => {
+      setReplayTime(current => current === null ? current : current + replaySpeed * REPLAY_TICK_MS / 1000);
+    }, REPLAY_TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [replayPlaying, replaySpeed]);
+
+  // Stop at the end of the recording
+  useEffect(() => {
+    if (replayRange && replayTime !== null && replayTime >= replayRange.end) {
+      setReplayPlaying(false);
+      setReplayTime(replayRange.end);
+    }
+  }, [replayRange, replayTime]);
+
+  // Incoming predictions are refreshed on their own schedule, streaming or not
+  useEffect(() => {
+    if (!userLocation) return;
+
+    fetchIncoming(userLocation.latitude, userLocation.longitude);
+    if (!autoRefresh) return;
+
+    const interval = setInterval(() => {
+      fetchIncoming(userLocation.latitude, userLocation.longitude);
+    }, 30000);
+
+    return () => clearInterval(interval);
+  }, [autoRefresh, userLocation]);
+
+  // Show the logbook of a returning spotter
+  useEffect(() => {
+    const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+    if (!apiKey) return;
+
+    getLogbookStats(apiKey)
+      .then(setLogbook)
+      .catch(err => console.error('Error fetching logbook:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!spotNotice) return;
+    const timer = setTimeout(() => setSpotNotice(null), SPOT_NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [spotNotice]);
 
   // Initial location detection
   useEffect(() => {
@@ -163,14 +475,20 @@ const App: React.FC = () => {
   const handleRefresh = () => {
     if (userLocation) {
       fetchAircraftData(userLocation.latitude, userLocation.longitude);
+      fetchIncoming(userLocation.latitude, userLocation.longitude);
+    }
+  };
+
+  // Selecting on the map scrolls the matching card into view
+  const handleMapSelect = (icao24: string | null) => {
+    setSelectedIcao(icao24);
+    if (icao24) {
+      document.getElementById(`aircraft-${icao24}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
   };
 
   const handleRadiusChange = (newRadius: number) => {
     setSearchRadius(newRadius);
-    if (userLocation) {
-      fetchAircraftData(userLocation.latitude, userLocation.longitude); // for that moment, and the useffect handles it after that
-    }
   };
 
   return (
@@ -210,7 +528,7 @@ const App: React.FC = () => {
               <button 
                 onClick={handleRefresh}
                 className="refresh-btn"
-                disabled={loading}
+                disabled={loading || replayMode}
               >
                 <FaRedo className={loading ? 'spinning' : ''} />
                 Refresh Aircraft
@@ -268,7 +586,7 @@ const App: React.FC = () => {
                       checked={autoRefresh}
                       onChange={(e) => setAutoRefresh(e.target.checked)}
                     />
-                    Auto-refresh every 30 seconds
+                    Live updates (refreshes every 30 seconds if streaming is unavailable)
                   </label>
                 </div>
               </motion.div>
@@ -276,6 +594,135 @@ const App: React.FC = () => {
           </AnimatePresence>
         </motion.section>
 
+        {/* Replay */}
+        {userLocation && (
+          <motion.section
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            className="replay-section"
+          >
+            <div className="section-header">
+              <FaHistory className="section-icon" />
+              <h2>Replay</h2>
+              <button onClick={replayMode ? stopReplay : startReplay} className="settings-toggle">
+                {replayMode ? 'Back to live' : 'Replay recorded traffic'}
+              </button>
+            </div>
+
+            {replayMode && replayRange && replayTime !== null && (
+              <div className="replay-controls">
+                <button
+                  onClick={() => setReplayPlaying(!replayPlaying)}
+                  className="replay-play"
+                  aria-label={replayPlaying ? 'Pause' : 'Play'}
+                >
+                  {replayPlaying ? <FaPause /> : <FaPlay />}
+                </button>
+                <input
+                  type="range"
+                  min={replayRange.start}
+                  max={replayRange.end}
+                  value={replayTime}
+                  onChange={(e) => setReplayTime(parseInt(e.target.value))}
+                  className="radius-slider replay-slider"
+                />
+                <select
+                  value={replaySpeed}
+                  onChange={(e) => setReplaySpeed(parseInt(e.target.value))}
+                  className="replay-speed"
+                >
+                  {REPLAY_SPEEDS.map(speed => (
+                    <option key={speed} value={speed}>{speed}×</option>
+                  ))}
+                </select>
+                <span className="replay-time">{new Date(replayTime * 1000).toLocaleString()}</span>
+              </div>
+            )}
+          </motion.section>
+        )}
+
+        {/* Alerts */}
+        {aircraft.some(isAlerting) && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="alerts-section"
+          >
+            <div className="section-header">
+              <FaExclamationTriangle className="section-icon" />
+              <h2>Alerts</h2>
+            </div>
+
+            {aircraft.filter(isAlerting).map((plane) => (
+              <div
+                key={plane.icao24}
+                className="alert-card"
+                onClick={() => handleMapSelect(plane.icao24)}
+              >
+                <h3>{formatFlightSummary(plane)}</h3>
+                <span className="alert-badges">
+                  {plane.alerts.map(alert => ALERT_LABELS[alert]).join(' · ')}
+                </span>
+                <p className="aircraft-description">
+                  {getDirection(plane)} · {plane.distance_km.toFixed(1)} km
+                  {' · '}
+                  {plane.altitude ? `${Math.round(plane.altitude)}m` : 'Unknown altitude'}
+                </p>
+              </div>
+            ))}
+          </motion.section>
+        )}
+
+        {/* Incoming Aircraft */}
+        {!replayMode && incoming.length > 0 && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="incoming-section"
+          >
+            <div className="section-header">
+              <FaClock className="section-icon" />
+              <h2>Incoming</h2>
+              <span className="last-update">
+                Passing within {INCOMING_DISTANCE_KM} km in the next {INCOMING_WINDOW_MIN} min
+              </span>
+            </div>
+
+            {incoming.map((plane) => (
+              <div key={plane.icao24} className="incoming-card">
+                <div className="incoming-title">
+                  <FaPlane className="aircraft-icon" />
+                  <h3>{plane.callsign}</h3>
+                  <span className="incoming-eta">{formatEta(plane.eta_seconds)}</span>
+                </div>
+                <p className="aircraft-description">
+                  {formatIncomingInfo(plane)}
+                </p>
+              </div>
+            ))}
+          </motion.section>
+        )}
+
+        {/* Aircraft Map */}
+        {userLocation && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="map-section"
+          >
+            <div className="section-header">
+              <FaMapMarkedAlt className="section-icon" />
+              <h2>Map</h2>
+            </div>
+            <AircraftMap
+              aircraft={aircraft}
+              radiusKm={searchRadius}
+              selectedIcao={selectedIcao}
+              onSelect={handleMapSelect}
+            />
+          </motion.section>
+        )}
+
         {/* Aircraft List */}
         <motion.section
           initial={{ opacity: 0, y: 20 }}
@@ -285,13 +732,36 @@ const App: React.FC = () => {
           <div className="section-header">
             <FaPlane className="section-icon" />
             <h2>Nearby Aircraft</h2>
-            {lastUpdate && (
+            {replayMode && replayTime !== null ? (
+              <span className="last-update">
+                <span className="replay-indicator">● Replay</span>
+                {new Date(replayTime * 1000).toLocaleString()}
+              </span>
+            ) : lastUpdate && (
               <span className="last-update">
+                {streaming && <span className="live-indicator">● Live</span>}
                 Last updated: {lastUpdate.toLocaleTimeString()}
               </span>
             )}
           </div>
 
+          {logbook && logbook.sightings > 0 && (
+            <p className="logbook-summary">
+              <FaBinoculars /> Logbook: {logbook.sightings} sightings · {logbook.airframes} airframes
+              {' · '}{logbook.types} types · {logbook.airlines} airlines
+            </p>
+          )}
+
+          {spotNotice && (
+            <motion.p
+              initial={{ opacity: 0, y: -10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="spot-notice"
+            >
+              🏅 {spotNotice}
+            </motion.p>
+          )}
+
           {loading && (
             <div className="loading">
               <div className="spinner"></div>
@@ -323,22 +793,37 @@ const App: React.FC = () => {
           <AnimatePresence>
             {aircraft.map((plane, index) => (
               <motion.div
-                key={plane.id}
+                key={plane.icao24}
+                id={`aircraft-${plane.icao24}`}
                 initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
+                animate={{ opacity: isStale(plane) ? 0.5 : 1, x: 0 }}
                 exit={{ opacity: 0, x: 20 }}
                 transition={{ delay: index * 0.1 }}
-                className="aircraft-card"
+                className={`aircraft-card${plane.icao24 === selectedIcao ? ' selected' : ''}${isAlerting(plane) ? ' alert' : ''}${isStale(plane) ? ' stale' : ''}`}
+                onClick={() => setSelectedIcao(plane.icao24)}
               >
                 <div className="aircraft-header">
                   <FaPlane className="aircraft-icon" />
                   <div className="aircraft-title">
-                    <h3>{plane.callsign}</h3>
+                    <h3>{formatFlightSummary(plane)}</h3>
+                    {plane.alerts.length > 0 && (
+                      <span className="alert-badges">
+                        {plane.alerts.map(alert => ALERT_LABELS[alert]).join(' · ')}
+                      </span>
+                    )}
+                    {formatAircraftIdentity(plane) && (
+                      <span className="aircraft-type">{formatAircraftIdentity(plane)}</span>
+                    )}
                     <span className="aircraft-id">ICAO: {plane.icao24}</span>
                   </div>
                   <div className="aircraft-direction">
                     <FaCompass className="compass-icon" />
-                    <span>{getDirection(plane.latitude, plane.longitude)}</span>
+                    <span>{getDirection(plane)}</span>
+                    {plane.relative_motion && (
+                      <span className={`motion-indicator motion-${plane.relative_motion}`}>
+                        {MOTION_LABELS[plane.relative_motion]}
+                      </span>
+                    )}
                   </div>
                 </div>
                 
@@ -351,6 +836,9 @@ const App: React.FC = () => {
                     <div className="stat">
                       <strong>Distance:</strong> {plane.distance_km.toFixed(1)} km
                     </div>
+                    <div className="stat">
+                      <strong>Elevation:</strong> {plane.above_horizon ? `${plane.elevation_deg.toFixed(1)}°` : 'Below horizon'}
+                    </div>
                     <div className="stat">
                       <strong>Altitude:</strong> {plane.altitude ? `${Math.round(plane.altitude)}m` : 'Unknown'}
                     </div>
@@ -360,7 +848,31 @@ const App: React.FC = () => {
                     <div className="stat">
                       <strong>Country:</strong> {plane.origin_country || 'Unknown'}
                     </div>
+                    {plane.seen_age_s !== null && (
+                      <div className="stat">
+                        <strong>Last seen:</strong> {formatSeenAge(plane.seen_age_s)}
+                      </div>
+                    )}
+                    {formatAirportContext(plane) && (
+                      <div className="stat">
+                        <strong>Airport:</strong> {formatAirportContext(plane)}
+                      </div>
+                    )}
                   </div>
+
+                  {!replayMode && (
+                    <button
+                      className={`spot-btn${spotted.has(plane.icao24) ? ' spotted' : ''}`}
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        spotAircraft(plane);
+                      }}
+                      disabled={spotted.has(plane.icao24)}
+                    >
+                      <FaBinoculars />
+                      {spotted.has(plane.icao24) ? 'Spotted ✓' : 'Spotted'}
+                    </button>
+                  )}
                 </div>
               </motion.div>
             ))}
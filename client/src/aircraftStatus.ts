@@ -0,0 +1,11 @@
+import { Aircraft } from './types';
+
+// Ident alone is routine; everything else is worth calling out
+export const isAlerting = (plane: Aircraft): boolean =>
+  plane.alerts.some(alert => alert !== 'ident');
+
+// Aircraft without a position report for longer than this are faded out
+export const STALE_CONTACT_S = 60;
+
+export const isStale = (plane: Aircraft): boolean =>
+  plane.seen_age_s !== null && plane.seen_age_s > STALE_CONTACT_S;
@@ -0,0 +1,174 @@
+export interface Airport {
+  ident: string;
+  iata: string | null;
+  name: string;
+  type: string | null;
+  latitude: number;
+  longitude: number;
+  elevation: number | null;
+  municipality: string | null;
+  country: string | null;
+  distance_km: number;
+  bearing_deg: number;
+  compass_direction: string;
+}
+
+export type AlertType =
+  | 'hijack'
+  | 'radio_failure'
+  | 'emergency'
+  | 'ident'
+  | 'rapid_descent'
+  | 'lost_contact';
+
+export interface Aircraft {
+  id: number;
+  icao24: string;
+  callsign: string;
+  origin_country: string;
+  registration: string | null;
+  manufacturer: string | null;
+  model: string | null;
+  typecode: string | null;
+  operator: string | null;
+  airline_icao: string | null;
+  airline_iata: string | null;
+  airline_name: string | null;
+  flight_number: string | null;
+  origin: string | null;
+  destination: string | null;
+  latitude: number;
+  longitude: number;
+  altitude: number;
+  velocity: number;
+  true_track: number;
+  distance_km: number;
+  elevation_deg: number;
+  azimuth_deg: number;
+  compass_direction: string;
+  slant_range_km: number;
+  above_horizon: boolean;
+  relative_motion: 'toward' | 'away' | 'crossing' | null;
+  closing_speed_ms: number | null;
+  squawk: string | null;
+  spi: boolean;
+  alerts: AlertType[];
+  nearest_airport: Airport | null;
+  flight_phase: 'departing' | 'arriving' | 'cruising' | null;
+  // Seconds since the last position report
+  seen_age_s: number | null;
+  last_updated: string;
+  // Replay only: false when held at the last recorded sample
+  interpolated?: boolean;
+}
+
+export interface IncomingAircraft extends Aircraft {
+  eta_seconds: number;
+  eta: string;
+  min_distance_km: number;
+  predicted_position: {
+    latitude: number;
+    longitude: number;
+    altitude: number | null;
+  };
+  predicted_elevation_deg: number;
+  predicted_azimuth_deg: number;
+  predicted_compass_direction: string;
+}
+
+export interface UserLocation {
+  latitude: number;
+  longitude: number;
+}
+
+export interface AircraftResponse {
+  success: boolean;
+  data: {
+    aircraft: Aircraft[];
+    user_location: UserLocation;
+    search_radius_km: number;
+    timestamp: string;
+    count: number;
+  };
+}
+
+export interface ApproachingResponse {
+  success: boolean;
+  data: {
+    aircraft: IncomingAircraft[];
+    within_min: number;
+    within_km: number;
+    timestamp: string;
+    count: number;
+  };
+}
+
+export interface AircraftDiff {
+  added: Aircraft[];
+  updated: Aircraft[];
+  removed: string[];
+  timestamp: string;
+}
+
+export interface ReplayRangeResponse {
+  success: boolean;
+  data: {
+    start: number | null;
+    end: number | null;
+    timestamp: string;
+  };
+}
+
+export interface ReplayResponse {
+  success: boolean;
+  data: {
+    aircraft: Aircraft[];
+    user_location: UserLocation;
+    search_radius_km: number;
+    at: string;
+    timestamp: string;
+    count: number;
+  };
+}
+
+export type BadgeKind = 'airframe' | 'type' | 'airline';
+
+export interface Sighting {
+  id: number;
+  icao24: string;
+  callsign: string | null;
+  registration: string | null;
+  typecode: string | null;
+  model: string | null;
+  airline_icao: string | null;
+  airline_name: string | null;
+  observer_latitude: number;
+  observer_longitude: number;
+  altitude: number | null;
+  distance_km: number | null;
+  spotted_at: string;
+}
+
+export interface SightingResponse {
+  success: boolean;
+  data: {
+    sighting: Sighting;
+    // Badges this sighting earned
+    firsts: BadgeKind[];
+  };
+}
+
+export interface SightingStatsResponse {
+  success: boolean;
+  data: {
+    sightings: number;
+    airframes: number;
+    types: number;
+    airlines: number;
+    first_spotted_at: string | null;
+    last_spotted_at: string | null;
+    top_types: { value: string; label: string | null; sightings: number }[];
+    top_airlines: { value: string; label: string | null; sightings: number }[];
+    timestamp: string;
+  };
+}
@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { roundCoordinate } = require('../utils/privacy');
 
 const DB_PATH = process.env.DB_PATH || './data/airplanes.db';
 
@@ -10,6 +11,8 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
+const BUSY_TIMEOUT_MS = 5000;
+
 let db;
 
 function getDatabase() {
@@ -21,10 +24,35 @@ function getDatabase() {
         console.log('Connected to SQLite database');
       }
     });
+    // Wait instead of failing while a dedicated connection holds a write lock
+    db.configure('busyTimeout', BUSY_TIMEOUT_MS);
   }
   return db;
 }
 
+// A connection of its own, for work that needs a transaction: statements
+// issued on the shared connection by other requests would otherwise run
+// inside it. Close it when done.
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+      connection.run('PRAGMA foreign_keys = ON', (err) => {
+        if (err) {
+          connection.close();
+          reject(err);
+        } else {
+          resolve(connection);
+        }
+      });
+    });
+  });
+}
+
 async function initializeDatabase() {
   return new Promise((resolve, reject) => {
     const database = getDatabase();
@@ -55,6 +83,28 @@ async function initializeDatabase() {
       )
     `;
     
+    // Accounts; clients authenticate with API keys, stored as SHA-256 hashes
+    const usersTable = `
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    
+    const apiKeysTable = `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        label TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `;
+    
     // Create user_locations table
     const userLocationsTable = `
       CREATE TABLE IF NOT EXISTS user_locations (
@@ -75,19 +125,311 @@ async function initializeDatabase() {
         latitude REAL,
         longitude REAL,
         altitude REAL,
+        geo_altitude REAL,
         velocity REAL,
         true_track REAL,
+        vertical_rate REAL,
+        on_ground BOOLEAN,
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
     
+    // Registration/type/operator reference data, imported from the OpenSky
+    // aircraftDatabase CSV (see server/scripts/import-aircraft-db.js)
+    const aircraftMetadataTable = `
+      CREATE TABLE IF NOT EXISTS aircraft_metadata (
+        icao24 TEXT PRIMARY KEY,
+        registration TEXT,
+        manufacturer TEXT,
+        model TEXT,
+        typecode TEXT,
+        operator TEXT,
+        operator_icao TEXT,
+        owner TEXT
+      )
+    `;
+    
+    // ICAO airline designators and known callsign routes (see
+    // server/scripts/import-airlines.js and import-routes.js)
+    const airlinesTable = `
+      CREATE TABLE IF NOT EXISTS airlines (
+        icao TEXT PRIMARY KEY,
+        iata TEXT,
+        name TEXT NOT NULL,
+        callsign TEXT,
+        country TEXT
+      )
+    `;
+    
+    const routesTable = `
+      CREATE TABLE IF NOT EXISTS routes (
+        callsign TEXT PRIMARY KEY,
+        origin TEXT,
+        destination TEXT
+      )
+    `;
+    
+    // Airport reference data in the OurAirports format, elevation in meters
+    // (see server/scripts/import-airports.js)
+    const airportsTable = `
+      CREATE TABLE IF NOT EXISTS airports (
+        ident TEXT PRIMARY KEY,
+        iata TEXT,
+        name TEXT NOT NULL,
+        type TEXT,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        elevation REAL,
+        municipality TEXT,
+        country TEXT
+      )
+    `;
+    
+    // Emergency squawks and other special conditions. An event stays open
+    // (ended_at NULL) while the condition persists.
+    const aircraftEventsTable = `
+      CREATE TABLE IF NOT EXISTS aircraft_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        icao24 TEXT NOT NULL,
+        callsign TEXT,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        description TEXT,
+        squawk TEXT,
+        latitude REAL,
+        longitude REAL,
+        altitude REAL,
+        vertical_rate REAL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ended_at TIMESTAMP
+      )
+    `;
+    
+    // Per-user watch rules. kind is icao24, callsign (prefix), type
+    // (typecode) or any; the area defaults to the user's latest location.
+    const watchRulesTable = `
+      CREATE TABLE IF NOT EXISTS watch_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        label TEXT,
+        kind TEXT NOT NULL,
+        value TEXT,
+        radius_km REAL NOT NULL,
+        max_altitude REAL,
+        latitude REAL,
+        longitude REAL,
+        enabled BOOLEAN DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    
+    const notificationsTable = `
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        rule_id INTEGER REFERENCES watch_rules(id) ON DELETE CASCADE,
+        icao24 TEXT NOT NULL,
+        callsign TEXT,
+        message TEXT NOT NULL,
+        latitude REAL,
+        longitude REAL,
+        altitude REAL,
+        distance_km REAL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    
+    // Outbound webhooks owned by user_id. events is a comma-separated list;
+    // the optional area limits area-based events.
+    const webhooksTable = `
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT,
+        events TEXT NOT NULL,
+        description TEXT,
+        user_id TEXT,
+        latitude REAL,
+        longitude REAL,
+        radius_km REAL,
+        enabled BOOLEAN DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    
+    // One row per event sent to a URL; next_attempt_at is unix seconds
+    const webhookDeliveriesTable = `
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      )
+    `;
+    
+    const webhookAttemptsTable = `
+      CREATE TABLE IF NOT EXISTS webhook_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    
+    // GeoNames populated places for offline reverse geocoding
+    // (see server/scripts/import-cities.js)
+    const citiesTable = `
+      CREATE TABLE IF NOT EXISTS cities (
+        geonameid INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        country_code TEXT,
+        state TEXT,
+        population INTEGER
+      )
+    `;
+    
+    // Reverse geocoding results keyed by rounded coordinates; created_at is
+    // unix seconds
+    const geocodeCacheTable = `
+      CREATE TABLE IF NOT EXISTS geocode_cache (
+        cell TEXT PRIMARY KEY,
+        resolver TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )
+    `;
+    
+    // One row per flight, segmented from position reports as they arrive.
+    // ended_at stays NULL while the flight is in progress; start_reason is
+    // takeoff or first_contact, end_reason landing or timeout. Airports are
+    // idents from the airports table.
+    const flightsTable = `
+      CREATE TABLE IF NOT EXISTS flights (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        icao24 TEXT NOT NULL,
+        callsign TEXT,
+        start_reason TEXT NOT NULL,
+        end_reason TEXT,
+        started_at TIMESTAMP NOT NULL,
+        last_seen_at TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP,
+        start_latitude REAL,
+        start_longitude REAL,
+        end_latitude REAL,
+        end_longitude REAL,
+        last_altitude REAL,
+        max_altitude REAL,
+        distance_km REAL NOT NULL DEFAULT 0,
+        departure_airport TEXT,
+        arrival_airport TEXT
+      )
+    `;
+    
+    // Aircraft a user marked as spotted. Observer coordinates come from the
+    // user's stored (rounded) location; registration, type and airline are
+    // copied from the reference data at the time so the logbook keeps them.
+    const sightingsTable = `
+      CREATE TABLE IF NOT EXISTS sightings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        icao24 TEXT NOT NULL,
+        callsign TEXT,
+        registration TEXT,
+        typecode TEXT,
+        model TEXT,
+        airline_icao TEXT,
+        airline_name TEXT,
+        observer_latitude REAL NOT NULL,
+        observer_longitude REAL NOT NULL,
+        altitude REAL,
+        distance_km REAL,
+        spotted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    
+    // R*Tree over aircraft positions for radius lookups, kept in sync with
+    // the aircraft table by triggers
+    const aircraftSpatialIndex = `
+      CREATE VIRTUAL TABLE IF NOT EXISTS aircraft_rtree USING rtree(
+        id,
+        min_lat, max_lat,
+        min_lon, max_lon
+      )
+    `;
+    
+    const spatialIndexTriggers = [
+      `CREATE TRIGGER IF NOT EXISTS aircraft_rtree_insert AFTER INSERT ON aircraft
+       WHEN NEW.latitude IS NOT NULL AND NEW.longitude IS NOT NULL
+       BEGIN
+         INSERT OR REPLACE INTO aircraft_rtree VALUES (NEW.id, NEW.latitude, NEW.latitude, NEW.longitude, NEW.longitude);
+       END`,
+      `CREATE TRIGGER IF NOT EXISTS aircraft_rtree_update AFTER UPDATE OF latitude, longitude ON aircraft
+       BEGIN
+         DELETE FROM aircraft_rtree WHERE id = OLD.id;
+         INSERT INTO aircraft_rtree
+           SELECT NEW.id, NEW.latitude, NEW.latitude, NEW.longitude, NEW.longitude
+           WHERE NEW.latitude IS NOT NULL AND NEW.longitude IS NOT NULL;
+       END`,
+      `CREATE TRIGGER IF NOT EXISTS aircraft_rtree_delete AFTER DELETE ON aircraft
+       BEGIN
+         DELETE FROM aircraft_rtree WHERE id = OLD.id;
+       END`
+    ];
+    
+    // Rebuilt on startup so databases written before the index existed
+    // (or by INSERT OR REPLACE without recursive triggers) are covered
+    const rebuildSpatialIndex = [
+      'DELETE FROM aircraft_rtree',
+      `INSERT INTO aircraft_rtree
+         SELECT id, latitude, latitude, longitude, longitude FROM aircraft
+         WHERE latitude IS NOT NULL AND longitude IS NOT NULL`
+    ];
+    
+    // Columns added to existing tables after their first release
+    const columnMigrations = {
+      aircraft_history: {
+        geo_altitude: 'REAL',
+        vertical_rate: 'REAL',
+        on_ground: 'BOOLEAN'
+      }
+    };
+    
     // Create indexes for better performance
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_aircraft_icao24 ON aircraft(icao24)',
       'CREATE INDEX IF NOT EXISTS idx_aircraft_position ON aircraft(latitude, longitude)',
       'CREATE INDEX IF NOT EXISTS idx_aircraft_updated ON aircraft(last_updated)',
       'CREATE INDEX IF NOT EXISTS idx_history_icao24 ON aircraft_history(icao24)',
-      'CREATE INDEX IF NOT EXISTS idx_history_timestamp ON aircraft_history(timestamp)'
+      'CREATE INDEX IF NOT EXISTS idx_history_timestamp ON aircraft_history(timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_history_icao24_timestamp ON aircraft_history(icao24, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_airports_position ON airports(latitude, longitude)',
+      'CREATE INDEX IF NOT EXISTS idx_events_started ON aircraft_events(started_at)',
+      'CREATE INDEX IF NOT EXISTS idx_events_icao24 ON aircraft_events(icao24)',
+      'CREATE INDEX IF NOT EXISTS idx_watch_rules_user ON watch_rules(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_deliveries_pending ON webhook_deliveries(status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_deliveries_webhook ON webhook_deliveries(webhook_id)',
+      'CREATE INDEX IF NOT EXISTS idx_attempts_delivery ON webhook_attempts(delivery_id)',
+      'CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_cities_position ON cities(latitude, longitude)',
+      'CREATE INDEX IF NOT EXISTS idx_geocode_cache_created ON geocode_cache(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_flights_icao24_started ON flights(icao24, started_at)',
+      'CREATE INDEX IF NOT EXISTS idx_flights_started ON flights(started_at)',
+      'CREATE INDEX IF NOT EXISTS idx_sightings_user_spotted ON sightings(user_id, spotted_at)'
     ];
     
     database.serialize(() => {
@@ -104,6 +446,24 @@ async function initializeDatabase() {
         console.log('✅ Aircraft table created/verified');
       });
       
+      database.run(usersTable, (err) => {
+        if (err) {
+          console.error('Error creating users table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Users table created/verified');
+      });
+      
+      database.run(apiKeysTable, (err) => {
+        if (err) {
+          console.error('Error creating api_keys table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ API keys table created/verified');
+      });
+      
       database.run(userLocationsTable, (err) => {
         if (err) {
           console.error('Error creating user_locations table:', err);
@@ -122,6 +482,157 @@ async function initializeDatabase() {
         console.log('✅ Aircraft history table created/verified');
       });
       
+      database.run(aircraftMetadataTable, (err) => {
+        if (err) {
+          console.error('Error creating aircraft_metadata table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Aircraft metadata table created/verified');
+      });
+      
+      database.run(airlinesTable, (err) => {
+        if (err) {
+          console.error('Error creating airlines table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Airlines table created/verified');
+      });
+      
+      database.run(routesTable, (err) => {
+        if (err) {
+          console.error('Error creating routes table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Routes table created/verified');
+      });
+      
+      database.run(airportsTable, (err) => {
+        if (err) {
+          console.error('Error creating airports table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Airports table created/verified');
+      });
+      
+      database.run(aircraftEventsTable, (err) => {
+        if (err) {
+          console.error('Error creating aircraft_events table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Aircraft events table created/verified');
+      });
+      
+      database.run(watchRulesTable, (err) => {
+        if (err) {
+          console.error('Error creating watch_rules table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Watch rules table created/verified');
+      });
+      
+      database.run(notificationsTable, (err) => {
+        if (err) {
+          console.error('Error creating notifications table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Notifications table created/verified');
+      });
+      
+      database.run(webhooksTable, (err) => {
+        if (err) {
+          console.error('Error creating webhooks table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Webhooks table created/verified');
+      });
+      
+      database.run(webhookDeliveriesTable, (err) => {
+        if (err) {
+          console.error('Error creating webhook_deliveries table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Webhook deliveries table created/verified');
+      });
+      
+      database.run(webhookAttemptsTable, (err) => {
+        if (err) {
+          console.error('Error creating webhook_attempts table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Webhook attempts table created/verified');
+      });
+      
+      database.run(citiesTable, (err) => {
+        if (err) {
+          console.error('Error creating cities table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Cities table created/verified');
+      });
+      
+      database.run(geocodeCacheTable, (err) => {
+        if (err) {
+          console.error('Error creating geocode_cache table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Geocode cache table created/verified');
+      });
+      
+      database.run(flightsTable, (err) => {
+        if (err) {
+          console.error('Error creating flights table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Flights table created/verified');
+      });
+      
+      database.run(sightingsTable, (err) => {
+        if (err) {
+          console.error('Error creating sightings table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Sightings table created/verified');
+      });
+      
+      database.run(aircraftSpatialIndex, (err) => {
+        if (err) {
+          console.error('Error creating aircraft spatial index:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Aircraft spatial index created/verified');
+      });
+      
+      spatialIndexTriggers.concat(rebuildSpatialIndex).forEach((sql) => {
+        database.run(sql, (err) => {
+          if (err) {
+            console.error('Error maintaining aircraft spatial index:', err);
+          }
+        });
+      });
+      
+      // Bring older databases up to the current schema
+      Object.entries(columnMigrations).forEach(([table, columns]) => {
+        addMissingColumns(database, table, columns);
+      });
+      
+      // One-time rewrites of existing rows
+      runDataMigrations(database);
+      
       // Create indexes
       indexes.forEach((indexSQL, i) => {
         database.run(indexSQL, (err) => {
@@ -144,6 +655,87 @@ async function initializeDatabase() {
   });
 }
 
+function addMissingColumns(database, table, columns) {
+  database.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+    if (err) {
+      console.error(`Error reading ${table} schema:`, err);
+      return;
+    }
+    
+    const existing = new Set(rows.map(row => row.name));
+    Object.entries(columns).forEach(([column, type]) => {
+      if (existing.has(column)) return;
+      
+      database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`, (err) => {
+        if (err) {
+          console.error(`Error adding ${table}.${column}:`, err);
+        } else {
+          console.log(`✅ Added column ${table}.${column}`);
+        }
+      });
+    });
+  });
+}
+
+// Data migrations, applied in order once per database. PRAGMA user_version
+// records how many have run.
+const dataMigrations = [
+  {
+    // Locations stored before coordinates were rounded on write
+    description: 'round stored user locations',
+    migrate(database, done) {
+      database.all('SELECT id, latitude, longitude FROM user_locations', [], (err, rows) => {
+        if (err) return done(err);
+        
+        let remaining = rows.length;
+        let failure = null;
+        if (remaining === 0) return done(null);
+        
+        rows.forEach(row => {
+          database.run(
+            'UPDATE user_locations SET latitude = ?, longitude = ? WHERE id = ?',
+            [roundCoordinate(row.latitude), roundCoordinate(row.longitude), row.id],
+            (err) => {
+              failure = failure || err;
+              if (--remaining === 0) done(failure);
+            }
+          );
+        });
+      });
+    }
+  }
+];
+
+function runDataMigrations(database) {
+  database.get('PRAGMA user_version', [], (err, row) => {
+    if (err) {
+      console.error('Error reading database version:', err);
+      return;
+    }
+    
+    const next = (version) => {
+      const migration = dataMigrations[version];
+      if (!migration) return;
+      
+      migration.migrate(database, (err) => {
+        if (err) {
+          console.error(`Error running data migration ${version + 1} (${migration.description}):`, err);
+          return;
+        }
+        database.run(`PRAGMA user_version = ${version + 1}`, (err) => {
+          if (err) {
+            console.error('Error recording database version:', err);
+            return;
+          }
+          console.log(`✅ Data migration ${version + 1}: ${migration.description}`);
+          next(version + 1);
+        });
+      });
+    };
+    next(row.user_version);
+  });
+}
+
 function closeDatabase() {
   if (db) {
     db.close((err) => {
@@ -171,6 +763,7 @@ process.on('SIGTERM', () => {
 
 module.exports = {
   getDatabase,
+  openDatabase,
   initializeDatabase,
   closeDatabase
 };
@@ -7,12 +7,26 @@ require('dotenv').config();
 
 const aircraftRoutes = require('./routes/aircraft');
 const locationRoutes = require('./routes/location');
+const airportRoutes = require('./routes/airports');
+const eventRoutes = require('./routes/events');
+const watchRoutes = require('./routes/watch');
+const webhookRoutes = require('./routes/webhooks');
+const accountRoutes = require('./routes/account');
+const replayRoutes = require('./routes/replay');
+const flightRoutes = require('./routes/flights');
+const sightingRoutes = require('./routes/sightings');
+const { rateLimit } = require('./middleware/rateLimit');
 const { initializeDatabase } = require('./database/init');
-const { startAircraftUpdates } = require('./services/aircraftService');
+const { aircraftService, startAircraftUpdates } = require('./services/aircraftService');
+const { webhookService } = require('./services/webhookService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Number of reverse proxies in front of the server, so rate limits see the
+// client IP from X-Forwarded-For instead of the proxy's
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || false);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -46,15 +60,24 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // API routes
-app.use('/api/aircraft', aircraftRoutes);
-app.use('/api/location', locationRoutes);
+app.use('/api/account', rateLimit('api'), accountRoutes);
+app.use('/api/aircraft', rateLimit('aircraft'), aircraftRoutes);
+app.use('/api/location', rateLimit('location'), locationRoutes);
+app.use('/api/airports', rateLimit('api'), airportRoutes);
+app.use('/api/events', rateLimit('api'), eventRoutes);
+app.use('/api/watch', rateLimit('api'), watchRoutes);
+app.use('/api/webhooks', rateLimit('api'), webhookRoutes);
+app.use('/api/replay', rateLimit('aircraft'), replayRoutes);
+app.use('/api/flights', rateLimit('api'), flightRoutes);
+app.use('/api/sightings', rateLimit('api'), sightingRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    service: 'airplane-tracker-api'
+    service: 'airplane-tracker-api',
+    sources: aircraftService.getSourceHealth()
   });
 });
 
@@ -85,6 +108,8 @@ async function startServer() {
     startAircraftUpdates();
     console.log('✅ Aircraft update service started');
     
+    webhookService.start();
+    
     app.listen(PORT, () => {
       console.log(`🚀 Airplane Tracker API server running on port ${PORT}`);
       console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
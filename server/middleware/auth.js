@@ -0,0 +1,38 @@
+const { accountService } = require('../services/accountService');
+
+// Read the API key from "Authorization: Bearer <key>" or "X-API-Key"
+function getApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+// Rejects the request unless it carries a valid API key; sets req.user
+async function requireAuth(req, res, next) {
+  try {
+    const user = await accountService.authenticate(getApiKey(req));
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid API key is required (Authorization: Bearer <key>)'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to authenticate request'
+    });
+  }
+}
+
+module.exports = {
+  getApiKey,
+  requireAuth
+};
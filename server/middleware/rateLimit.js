@@ -0,0 +1,173 @@
+const { accountService } = require('../services/accountService');
+const { getApiKey } = require('./auth');
+
+// Keys get the more generous limits, so minting them must stay slow
+const SIGNUP_LIMIT = parseInt(process.env.RATE_LIMIT_SIGNUP) || 5;
+
+// Requests per minute for each route group. Anonymous clients are limited
+// by IP address and clients sending a valid API key by key. global, where
+// set, is shared by every client of the group.
+const POLICIES = {
+  api: {
+    ip: parseInt(process.env.RATE_LIMIT_API_IP) || 120,
+    key: parseInt(process.env.RATE_LIMIT_API_KEY) || 600
+  },
+  aircraft: {
+    ip: parseInt(process.env.RATE_LIMIT_AIRCRAFT_IP) || 120,
+    key: parseInt(process.env.RATE_LIMIT_AIRCRAFT_KEY) || 600
+  },
+  location: {
+    ip: parseInt(process.env.RATE_LIMIT_LOCATION_IP) || 60,
+    key: parseInt(process.env.RATE_LIMIT_LOCATION_KEY) || 300
+  },
+  // Reverse geocoding is proxied to Nominatim, whose usage policy allows
+  // about one request per second from our server in total
+  geocode: {
+    ip: parseInt(process.env.RATE_LIMIT_GEOCODE_IP) || 10,
+    key: parseInt(process.env.RATE_LIMIT_GEOCODE_KEY) || 30,
+    global: parseInt(process.env.RATE_LIMIT_GEOCODE_GLOBAL) || 60
+  },
+  signup: {
+    ip: SIGNUP_LIMIT,
+    key: SIGNUP_LIMIT
+  }
+};
+
+// Full buckets are dropped this often (seconds)
+const PRUNE_INTERVAL = 600;
+
+// Holds up to limit tokens and refills limit tokens per minute, so short
+// bursts are allowed while the long-run rate stays at the limit
+class TokenBucket {
+  constructor(limit) {
+    this.limit = limit;
+    this.tokens = limit;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.limit, this.tokens + (now - this.updatedAt) / 60000 * this.limit);
+    this.updatedAt = now;
+  }
+
+  take() {
+    this.refill();
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.limit;
+  }
+
+  // Seconds until the next token is available
+  retryAfter() {
+    return Math.max(1, Math.ceil((1 - this.tokens) * 60 / this.limit));
+  }
+
+  // Seconds until the bucket is full again
+  resetAfter() {
+    return Math.ceil((this.limit - this.tokens) * 60 / this.limit);
+  }
+}
+
+// group -> Map of client id -> TokenBucket
+const buckets = new Map();
+
+function getBucket(group, clientId, limit) {
+  if (!buckets.has(group)) {
+    buckets.set(group, new Map());
+  }
+
+  const groupBuckets = buckets.get(group);
+  if (!groupBuckets.has(clientId)) {
+    groupBuckets.set(clientId, new TokenBucket(limit));
+  }
+  return groupBuckets.get(clientId);
+}
+
+setInterval(() => {
+  for (const groupBuckets of buckets.values()) {
+    for (const [clientId, bucket] of groupBuckets) {
+      if (bucket.isFull()) groupBuckets.delete(clientId);
+    }
+  }
+}, PRUNE_INTERVAL * 1000).unref();
+
+// A request is counted against its API key when it carries a valid one,
+// otherwise against its IP address. The lookup is cached on the request
+// so stacked limiters only query once.
+async function identifyClient(req) {
+  if (req.rateLimitKey === undefined) {
+    const apiKey = getApiKey(req);
+    req.rateLimitKey = apiKey ? await accountService.findKey(apiKey) : null;
+  }
+
+  return req.rateLimitKey
+    ? { id: `key:${req.rateLimitKey.key_id}`, type: 'key' }
+    : { id: `ip:${req.ip}`, type: 'ip' };
+}
+
+function setHeaders(res, bucket) {
+  res.set({
+    'RateLimit-Policy': `${bucket.limit};w=60`,
+    'RateLimit-Limit': String(bucket.limit),
+    'RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+    'RateLimit-Reset': String(bucket.resetAfter())
+  });
+}
+
+function reject(res, bucket, message) {
+  res.set('Retry-After', String(bucket.retryAfter()));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message
+  });
+}
+
+// Middleware limiting requests for a route group from POLICIES. Later
+// limiters on the same request overwrite the RateLimit-* headers, so the
+// most specific group is reported.
+function rateLimit(group) {
+  const policy = POLICIES[group];
+  if (!policy) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const client = await identifyClient(req);
+      const bucket = getBucket(group, client.id, policy[client.type]);
+      const allowed = bucket.take();
+      setHeaders(res, bucket);
+
+      if (!allowed) {
+        return reject(res, bucket,
+          `Rate limit of ${bucket.limit} requests per minute exceeded; retry in ${bucket.retryAfter()}s`);
+      }
+
+      if (policy.global) {
+        const globalBucket = getBucket(group, 'global', policy.global);
+        if (!globalBucket.take()) {
+          return reject(res, globalBucket,
+            `This service is busy for all clients; retry in ${globalBucket.retryAfter()}s`);
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error applying rate limit:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to apply rate limit'
+      });
+    }
+  };
+}
+
+module.exports = {
+  rateLimit
+};
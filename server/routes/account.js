@@ -0,0 +1,138 @@
+const express = require('express');
+const { accountService } = require('../services/accountService');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Create an account. The API key in the response is not stored and cannot
+// be retrieved again.
+router.post('/', rateLimit('signup'), async (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'name must be a string of at most 100 characters'
+      });
+    }
+
+    const { user, apiKey, key } = await accountService.createAccount(name || null);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user_id: user.id,
+        name: user.name,
+        api_key: apiKey,
+        key,
+        created_at: user.created_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create account'
+    });
+  }
+});
+
+// Get the authenticated account and its keys
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const keys = await accountService.getKeys(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: req.user.id,
+        name: req.user.name,
+        created_at: req.user.created_at,
+        keys
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting account:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve account'
+    });
+  }
+});
+
+// Issue an additional API key
+router.post('/keys', requireAuth, async (req, res) => {
+  try {
+    const { label } = req.body || {};
+    const { apiKey, key } = await accountService.createKey(req.user.id, label || null);
+
+    res.status(201).json({
+      success: true,
+      data: { api_key: apiKey, key }
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/keys/:id', requireAuth, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+    const revoked = !isNaN(keyId) && await accountService.revokeKey(req.user.id, keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Key not found',
+        message: `No active API key with id: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: keyId, message: 'API key revoked' }
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+// Delete the account with its stored location, watch rules, notifications,
+// webhooks and keys
+router.delete('/', requireAuth, async (req, res) => {
+  try {
+    const deleted = await accountService.deleteAccount(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: req.user.id,
+        deleted,
+        message: 'Account and all associated data deleted'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete account data'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,72 +1,196 @@
 const express = require('express');
 const { aircraftService } = require('../services/aircraftService');
+const { historyService } = require('../services/historyService');
+const { regionService } = require('../services/regionService');
+const { streamService } = require('../services/streamService');
+const { predictionService } = require('../services/predictionService');
 const { getDatabase } = require('../database/init');
+const { parseTimestamp } = require('../utils/time');
 
 const router = express.Router();
 
+// Validate the lat/lon/radius query shared by /nearby and /stream, plus the
+// optional observer altitude (alt, meters) and min_elevation (degrees)
+function parseNearbyParams({ lat, lon, radius = 100, alt, min_elevation }) {
+  if (!lat || !lon) {
+    return {
+      error: {
+        error: 'Missing required parameters',
+        message: 'Latitude (lat) and longitude (lon) are required'
+      }
+    };
+  }
+
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+  const radiusKm = parseInt(radius);
+
+  if (isNaN(latitude) || isNaN(longitude) || isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 500) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: 'Latitude and longitude must be valid numbers and radius between 1 and 500'
+      }
+    };
+  }
+
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return {
+      error: {
+        error: 'Invalid coordinates',
+        message: 'Latitude must be between -90 and 90, longitude between -180 and 180'
+      }
+    };
+  }
+
+  const observerAltitude = alt !== undefined ? parseFloat(alt) : 0;
+  const minElevation = min_elevation !== undefined ? parseFloat(min_elevation) : null;
+
+  if (isNaN(observerAltitude) || (minElevation !== null && (isNaN(minElevation) || minElevation < -90 || minElevation > 90))) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: 'alt must be a number of meters and min_elevation between -90 and 90 degrees'
+      }
+    };
+  }
+
+  return { latitude, longitude, radiusKm, observerAltitude, minElevation };
+}
+
 // Get aircraft near a specific location
 router.get('/nearby', async (req, res) => {
   try {
-    const { lat, lon, radius = 100 } = req.query;
+    const params = parseNearbyParams(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+
+    const { latitude, longitude, radiusKm, observerAltitude, minElevation } = params;
+
+    regionService.recordQuery(latitude, longitude, radiusKm);
+
+    const aircraft = await aircraftService.getAircraftNearLocation(latitude, longitude, radiusKm, {
+      observerAltitude,
+      minElevation
+    });
     
-    if (!lat || !lon) {
-      return res.status(400).json({
-        error: 'Missing required parameters',
-        message: 'Latitude (lat) and longitude (lon) are required'
+    // Transform data for frontend consumption
+    const transformedAircraft = aircraft.map(plane => aircraftService.formatNearbyAircraft(plane));
+
+    res.json({
+      success: true,
+      data: {
+        aircraft: transformedAircraft,
+        user_location: { latitude, longitude, altitude: observerAltitude },
+        search_radius_km: radiusKm,
+        min_elevation: minElevation,
+        timestamp: new Date().toISOString(),
+        count: transformedAircraft.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting nearby aircraft:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve nearby aircraft'
+    });
+  }
+});
+
+// Stream nearby aircraft as Server-Sent Events: a 'snapshot' on connect,
+// then 'diff' events with added/updated/removed aircraft after each update
+router.get('/stream', async (req, res) => {
+  try {
+    const params = parseNearbyParams(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+
+    await streamService.subscribe(req, res, params);
+
+  } catch (error) {
+    console.error('Error starting aircraft stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to start aircraft stream'
       });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Aircraft predicted to pass within within_km of the observer in the next
+// within_min minutes, soonest first
+router.get('/approaching', async (req, res) => {
+  try {
+    const params = parseNearbyParams(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
     }
 
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lon);
-    const radiusKm = parseInt(radius);
+    const { latitude, longitude, observerAltitude } = params;
+    const withinMinutes = parseFloat(req.query.within_min || 15);
+    const withinKm = parseFloat(req.query.within_km || 10);
 
-    if (isNaN(latitude) || isNaN(longitude) || isNaN(radiusKm)) {
+    if (isNaN(withinMinutes) || isNaN(withinKm) || withinMinutes <= 0 || withinKm <= 0) {
       return res.status(400).json({
         error: 'Invalid parameters',
-        message: 'Latitude, longitude, and radius must be valid numbers'
+        message: 'within_min and within_km must be positive numbers'
       });
     }
 
-    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    if (withinMinutes > predictionService.maxLookaheadMinutes) {
       return res.status(400).json({
-        error: 'Invalid coordinates',
-        message: 'Latitude must be between -90 and 90, longitude between -180 and 180'
+        error: 'Invalid parameters',
+        message: `within_min cannot exceed ${predictionService.maxLookaheadMinutes} minutes`
       });
     }
 
-    const aircraft = await aircraftService.getAircraftNearLocation(latitude, longitude, radiusKm);
-    
-    // Transform data for frontend consumption
-    const transformedAircraft = aircraft.map(plane => ({
-      id: plane.id,
-      icao24: plane.icao24,
-      callsign: plane.callsign || 'Unknown',
-      origin_country: plane.origin_country || 'Unknown',
-      latitude: plane.latitude,
-      longitude: plane.longitude,
-      altitude: plane.altitude,
-      velocity: plane.velocity,
-      true_track: plane.true_track,
-      distance_km: Math.round(plane.distance_km * 100) / 100,
-      last_updated: plane.last_updated
+    regionService.recordQuery(latitude, longitude, withinKm);
+
+    const approaching = await predictionService.getApproachingAircraft(latitude, longitude, {
+      withinMinutes,
+      withinKm,
+      observerAltitude
+    });
+
+    const now = Date.now();
+    const transformedAircraft = approaching.map(plane => ({
+      ...aircraftService.formatNearbyAircraft(plane),
+      eta_seconds: Math.round(plane.eta_seconds),
+      eta: new Date(now + plane.eta_seconds * 1000).toISOString(),
+      min_distance_km: Math.round(plane.min_distance_km * 100) / 100,
+      predicted_position: {
+        latitude: plane.predicted_position.latitude,
+        longitude: plane.predicted_position.longitude,
+        altitude: plane.predicted_position.altitude
+      },
+      predicted_elevation_deg: Math.round(plane.predicted_view.elevation_deg * 10) / 10,
+      predicted_azimuth_deg: Math.round(plane.predicted_view.azimuth_deg * 10) / 10,
+      predicted_compass_direction: plane.predicted_view.compass_direction
     }));
 
     res.json({
       success: true,
       data: {
         aircraft: transformedAircraft,
-        user_location: { latitude, longitude },
-        search_radius_km: radiusKm,
-        timestamp: new Date().toISOString(),
+        user_location: { latitude, longitude, altitude: observerAltitude },
+        within_min: withinMinutes,
+        within_km: withinKm,
+        timestamp: new Date(now).toISOString(),
         count: transformedAircraft.length
       }
     });
 
   } catch (error) {
-    console.error('Error getting nearby aircraft:', error);
+    console.error('Error predicting approaching aircraft:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to retrieve nearby aircraft'
+      message: 'Failed to predict approaching aircraft'
     });
   }
 });
@@ -122,33 +246,21 @@ router.get('/:icao24', async (req, res) => {
       });
     }
 
-    const db = getDatabase();
+    const row = await aircraftService.getAircraftByIcao24(icao24);
     
-    const query = 'SELECT * FROM aircraft WHERE icao24 = ?';
+    if (!row) {
+      return res.status(404).json({
+        error: 'Aircraft not found',
+        message: `No aircraft found with ICAO24: ${icao24}`
+      });
+    }
     
-    db.get(query, [icao24], (err, row) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({
-          error: 'Database error',
-          message: 'Failed to retrieve aircraft data'
-        });
-      }
-      
-      if (!row) {
-        return res.status(404).json({
-          error: 'Aircraft not found',
-          message: `No aircraft found with ICAO24: ${icao24}`
-        });
+    res.json({
+      success: true,
+      data: {
+        aircraft: row,
+        timestamp: new Date().toISOString()
       }
-      
-      res.json({
-        success: true,
-        data: {
-          aircraft: row,
-          timestamp: new Date().toISOString()
-        }
-      });
     });
   } catch (error) {
     console.error('Error getting aircraft by ICAO24:', error);
@@ -159,6 +271,52 @@ router.get('/:icao24', async (req, res) => {
   }
 });
 
+// Get the recorded breadcrumb trail for an aircraft
+router.get('/:icao24/track', async (req, res) => {
+  try {
+    const icao24 = req.params.icao24.toLowerCase();
+    const now = Math.floor(Date.now() / 1000);
+    const { since, until } = req.query;
+
+    const sinceTs = since ? parseTimestamp(since) : now - historyService.retentionHours * 3600;
+    const untilTs = until ? parseTimestamp(until) : now;
+
+    if (isNaN(sinceTs) || isNaN(untilTs)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'since and until must be unix timestamps or ISO 8601 dates'
+      });
+    }
+
+    if (sinceTs > untilTs) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'since must not be later than until'
+      });
+    }
+
+    const points = await historyService.getTrack(icao24, sinceTs, untilTs);
+
+    res.json({
+      success: true,
+      data: {
+        icao24,
+        track: points,
+        since: new Date(sinceTs * 1000).toISOString(),
+        until: new Date(untilTs * 1000).toISOString(),
+        count: points.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting aircraft track:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve aircraft track'
+    });
+  }
+});
+
 // Get aircraft statistics
 router.get('/stats/overview', async (req, res) => {
   try {
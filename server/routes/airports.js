@@ -0,0 +1,71 @@
+const express = require('express');
+const { airportService, MAJOR_AIRPORT_TYPES } = require('../services/airportService');
+
+const router = express.Router();
+
+// Get airports near a location. type is a comma-separated list of OurAirports
+// types (large_airport, medium_airport, small_airport, heliport, ...) or
+// "all"; by default only large and medium airports are returned.
+router.get('/nearby', async (req, res) => {
+  try {
+    const { lat, lon, radius = 50, type, limit = 20 } = req.query;
+
+    if (!lat || !lon) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Latitude (lat) and longitude (lon) are required'
+      });
+    }
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    const radiusKm = parseFloat(radius);
+    const maxResults = parseInt(limit);
+
+    if ([latitude, longitude, radiusKm, maxResults].some(isNaN) || radiusKm <= 0 || maxResults <= 0) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'Latitude, longitude, radius and limit must be valid positive numbers'
+      });
+    }
+
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'Latitude must be between -90 and 90, longitude between -180 and 180'
+      });
+    }
+
+    let types = MAJOR_AIRPORT_TYPES;
+    if (type === 'all') {
+      types = null;
+    } else if (type) {
+      types = type.split(',').map(value => value.trim()).filter(Boolean);
+    }
+
+    const airports = await airportService.getAirportsNear(latitude, longitude, radiusKm, {
+      types,
+      limit: maxResults
+    });
+
+    res.json({
+      success: true,
+      data: {
+        airports: airports.map(airport => airportService.formatAirport(airport, latitude, longitude)),
+        count: airports.length,
+        location: { latitude, longitude },
+        radius_km: radiusKm,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting nearby airports:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve nearby airports'
+    });
+  }
+});
+
+module.exports = router;
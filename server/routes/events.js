@@ -0,0 +1,85 @@
+const express = require('express');
+const { eventService, EVENT_TYPES } = require('../services/eventService');
+const { parseTimestamp } = require('../utils/time');
+
+const router = express.Router();
+
+// List detected events, newest first. Filters: active=true for conditions
+// still in progress, type (comma-separated), icao24, since/until (unix
+// seconds or dates), lat/lon/radius (km) and limit.
+router.get('/', async (req, res) => {
+  try {
+    const { active, type, icao24, since, until, lat, lon, radius = 100, limit = 100 } = req.query;
+
+    const types = type ? type.split(',').map(value => value.trim()).filter(Boolean) : null;
+    const unknownType = types && types.find(value => !EVENT_TYPES.includes(value));
+    if (unknownType) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `Unknown event type: ${unknownType}. Expected one of ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const sinceTs = since ? parseTimestamp(since) : null;
+    const untilTs = until ? parseTimestamp(until) : null;
+    if (Number.isNaN(sinceTs) || Number.isNaN(untilTs)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'since and until must be unix timestamps or ISO 8601 dates'
+      });
+    }
+
+    const maxResults = parseInt(limit);
+    if (isNaN(maxResults) || maxResults <= 0 || maxResults > 1000) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'limit must be between 1 and 1000'
+      });
+    }
+
+    let near = null;
+    if (lat !== undefined || lon !== undefined) {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lon);
+      const radiusKm = parseFloat(radius);
+
+      if ([latitude, longitude, radiusKm].some(isNaN) || latitude < -90 || latitude > 90 ||
+          longitude < -180 || longitude > 180 || radiusKm <= 0) {
+        return res.status(400).json({
+          error: 'Invalid coordinates',
+          message: 'lat and lon must be valid coordinates and radius a positive number of km'
+        });
+      }
+
+      near = { latitude, longitude, radiusKm };
+    }
+
+    const events = await eventService.getEvents({
+      active: active === 'true',
+      types,
+      icao24: icao24 ? icao24.toLowerCase() : null,
+      since: sinceTs,
+      until: untilTs,
+      near,
+      limit: maxResults
+    });
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        count: events.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting events:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve events'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const { flightService } = require('../services/flightService');
+const { parseTimestamp } = require('../utils/time');
+
+const router = express.Router();
+
+// List flights, newest first. Filters: icao24, since/until (unix seconds or
+// dates; flights seen during that window) and limit.
+router.get('/', async (req, res) => {
+  try {
+    const { icao24, since, until, limit = 100 } = req.query;
+
+    const sinceTs = since ? parseTimestamp(since) : null;
+    const untilTs = until ? parseTimestamp(until) : null;
+    if (Number.isNaN(sinceTs) || Number.isNaN(untilTs)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'since and until must be unix timestamps or ISO 8601 dates'
+      });
+    }
+
+    const maxResults = parseInt(limit);
+    if (isNaN(maxResults) || maxResults <= 0 || maxResults > 1000) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'limit must be between 1 and 1000'
+      });
+    }
+
+    const flights = await flightService.getFlights({
+      icao24: icao24 ? icao24.toLowerCase() : null,
+      since: sinceTs,
+      until: untilTs,
+      limit: maxResults
+    });
+
+    res.json({
+      success: true,
+      data: {
+        flights,
+        count: flights.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting flights:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve flights'
+    });
+  }
+});
+
+// A single flight with its recorded track
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'Flight id must be a number'
+      });
+    }
+
+    const flight = await flightService.getFlight(id);
+    if (!flight) {
+      return res.status(404).json({
+        error: 'Flight not found',
+        message: `No flight with id ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        flight,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting flight:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve flight'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,24 @@
 const express = require('express');
 const { getDatabase } = require('../database/init');
+const { airportService } = require('../services/airportService');
+const { geocodeService } = require('../services/geocodeService');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { roundCoordinate, LOCATION_PRECISION } = require('../utils/privacy');
 
 const router = express.Router();
 
-// Store user location
-router.post('/store', async (req, res) => {
+// Store the authenticated user's location, rounded to LOCATION_PRECISION
+// decimal places
+router.post('/store', requireAuth, async (req, res) => {
   try {
-    const { user_id, latitude, longitude } = req.body;
+    const { latitude, longitude } = req.body;
+    const user_id = req.user.id;
     
-    if (!user_id || latitude === undefined || longitude === undefined) {
+    if (latitude === undefined || longitude === undefined) {
       return res.status(400).json({
         error: 'Missing required parameters',
-        message: 'user_id, latitude, and longitude are required'
+        message: 'latitude and longitude are required'
       });
     }
 
@@ -39,7 +46,10 @@ router.post('/store', async (req, res) => {
       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
     `;
     
-    db.run(query, [user_id, lat, lon], function(err) {
+    const storedLat = roundCoordinate(lat);
+    const storedLon = roundCoordinate(lon);
+    
+    db.run(query, [user_id, storedLat, storedLon], function(err) {
       if (err) {
         console.error('Database error:', err);
         return res.status(500).json({
@@ -52,8 +62,9 @@ router.post('/store', async (req, res) => {
         success: true,
         data: {
           user_id,
-          latitude: lat,
-          longitude: lon,
+          latitude: storedLat,
+          longitude: storedLon,
+          precision: LOCATION_PRECISION,
           timestamp: new Date().toISOString(),
           message: 'Location stored successfully'
         }
@@ -69,15 +80,16 @@ router.post('/store', async (req, res) => {
   }
 });
 
-// Get user location
-router.get('/:user_id', async (req, res) => {
+// Get user location. Users can only read their own; "me" is accepted in
+// place of the id.
+router.get('/:user_id', requireAuth, async (req, res) => {
   try {
-    const { user_id } = req.params;
+    const user_id = req.params.user_id === 'me' ? req.user.id : req.params.user_id;
     
-    if (!user_id) {
-      return res.status(400).json({
-        error: 'Missing user_id',
-        message: 'User ID is required'
+    if (user_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only access your own location'
       });
     }
 
@@ -121,8 +133,10 @@ router.get('/:user_id', async (req, res) => {
   }
 });
 
-// Get location by coordinates (reverse geocoding helper)
-router.get('/reverse/:lat/:lon', async (req, res) => {
+// Get location by coordinates (reverse geocoding helper). resolver tells
+// whether Nominatim, the offline cities table or neither answered. Stricter
+// limits apply because lookups may be proxied to Nominatim.
+router.get('/reverse/:lat/:lon', rateLimit('geocode'), async (req, res) => {
   try {
     const { lat, lon } = req.params;
     
@@ -136,60 +150,20 @@ router.get('/reverse/:lat/:lon', async (req, res) => {
       });
     }
 
-    // Simple reverse geocoding using OpenStreetMap Nominatim API
-    try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=10&addressdetails=1`,
-        {
-          headers: {
-            'User-Agent': 'AirplaneTracker/1.0'
-          }
-        }
-      );
-      
-      if (response.ok) {
-        const data = await response.json();
-        
-        res.json({
-          success: true,
-          data: {
-            coordinates: { latitude, longitude },
-            address: data.display_name,
-            city: data.address?.city || data.address?.town || data.address?.village,
-            state: data.address?.state,
-            country: data.address?.country,
-            country_code: data.address?.country_code?.toUpperCase()
-          }
-        });
-      } else {
-        // Fallback to basic coordinate response
-        res.json({
-          success: true,
-          data: {
-            coordinates: { latitude, longitude },
-            address: `Lat: ${latitude.toFixed(6)}, Lon: ${longitude.toFixed(6)}`,
-            city: null,
-            state: null,
-            country: null,
-            country_code: null
-          }
-        });
+    const [location, nearestAirport] = await Promise.all([
+      geocodeService.reverse(latitude, longitude),
+      airportService.getNearestAirport(latitude, longitude, { maxKm: 300 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        coordinates: { latitude, longitude },
+        ...location,
+        nearest_airport: nearestAirport
       }
-    } catch (fetchError) {
-      // Fallback response if geocoding fails
-      res.json({
-        success: true,
-        data: {
-          coordinates: { latitude, longitude },
-          address: `Lat: ${latitude.toFixed(6)}, Lon: ${longitude.toFixed(6)}`,
-          city: null,
-          state: null,
-          country: null,
-          country_code: null
-        }
-      });
-    }
-    
+    });
+
   } catch (error) {
     console.error('Error in reverse geocoding:', error);
     res.status(500).json({
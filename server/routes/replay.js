@@ -0,0 +1,96 @@
+const express = require('express');
+const { replayService } = require('../services/replayService');
+const { historyService } = require('../services/historyService');
+const { parseTimestamp } = require('../utils/time');
+
+const router = express.Router();
+
+// Time span covered by recorded history, for bounding a timeline
+router.get('/range', async (req, res) => {
+  try {
+    const range = await replayService.getRange();
+
+    res.json({
+      success: true,
+      data: {
+        start: range ? range.start : null,
+        end: range ? range.end : null,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting replay range:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve replay range'
+    });
+  }
+});
+
+// Aircraft near a location as they were at a past time (at: unix seconds or
+// ISO 8601 date), interpolated between recorded position samples
+router.get('/nearby', async (req, res) => {
+  try {
+    const { lat, lon, radius = 100, at } = req.query;
+
+    if (!lat || !lon || !at) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Latitude (lat), longitude (lon) and time (at) are required'
+      });
+    }
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    const radiusKm = parseInt(radius);
+    const atTs = parseTimestamp(at);
+
+    if ([latitude, longitude, radiusKm, atTs].some(isNaN) || radiusKm <= 0 || radiusKm > 500) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'Latitude and longitude must be numbers, radius between 1 and 500 and at a unix timestamp or ISO 8601 date'
+      });
+    }
+
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'Latitude must be between -90 and 90, longitude between -180 and 180'
+      });
+    }
+
+    // Samples older than the retention window have been pruned, so an empty
+    // answer there would look like an empty sky
+    const oldestTs = Math.floor(Date.now() / 1000) - historyService.retentionHours * 3600;
+    if (atTs < oldestTs) {
+      return res.status(400).json({
+        error: 'Time out of range',
+        message: `History is only kept for ${historyService.retentionHours} hours (HISTORY_RETENTION_HOURS); at must be after ${new Date(oldestTs * 1000).toISOString()}`
+      });
+    }
+
+    const aircraft = await replayService.getAircraftNearLocation(latitude, longitude, radiusKm, atTs);
+
+    res.json({
+      success: true,
+      data: {
+        aircraft,
+        user_location: { latitude, longitude },
+        search_radius_km: radiusKm,
+        at: new Date(atTs * 1000).toISOString(),
+        timestamp: new Date().toISOString(),
+        count: aircraft.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error replaying nearby aircraft:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to replay nearby aircraft'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { sightingService, EXPORT_COLUMNS } = require('../services/sightingService');
+const { parseTimestamp } = require('../utils/time');
+const { requireAuth } = require('../middleware/auth');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Sightings belong to the authenticated user
+router.use(requireAuth);
+
+// Mark an aircraft as spotted from the user's stored location
+router.post('/', async (req, res) => {
+  try {
+    const { icao24: value } = req.body || {};
+    const icao24 = typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+    if (!/^[0-9a-f]{6}$/.test(icao24)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'icao24 must be a 6-digit hex ICAO24 address'
+      });
+    }
+
+    const result = await sightingService.addSighting(req.user.id, icao24);
+
+    if (result.error === 'location') {
+      return res.status(409).json({
+        error: 'Location required',
+        message: 'Store your location with POST /api/location/store before logging sightings'
+      });
+    }
+
+    if (result.error === 'aircraft') {
+      return res.status(404).json({
+        error: 'Aircraft not found',
+        message: `Aircraft ${icao24} is not currently being tracked`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error logging sighting:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to log sighting'
+    });
+  }
+});
+
+// The user's sightings, newest first. Filters: since (unix seconds or a
+// date) and limit.
+router.get('/', async (req, res) => {
+  try {
+    const { since, limit = 100 } = req.query;
+
+    const sinceTs = since ? parseTimestamp(since) : null;
+    const maxResults = parseInt(limit);
+
+    if (Number.isNaN(sinceTs) || isNaN(maxResults) || maxResults <= 0 || maxResults > 1000) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'since must be a unix timestamp or ISO 8601 date and limit between 1 and 1000'
+      });
+    }
+
+    const sightings = await sightingService.getSightings(req.user.id, { since: sinceTs, limit: maxResults });
+
+    res.json({
+      success: true,
+      data: {
+        sightings,
+        count: sightings.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting sightings:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve sightings'
+    });
+  }
+});
+
+// Unique airframes, types and airlines logged
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await sightingService.getStats(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting sighting stats:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve sighting statistics'
+    });
+  }
+});
+
+// First-seen badges: the first sighting of each airframe, type and airline
+router.get('/badges', async (req, res) => {
+  try {
+    const badges = await sightingService.getBadges(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        badges,
+        count: badges.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting sighting badges:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve sighting badges'
+    });
+  }
+});
+
+// The whole logbook as a CSV download
+router.get('/export.csv', async (req, res) => {
+  try {
+    const sightings = await sightingService.getSightings(req.user.id, { limit: null });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="sightings.csv"');
+    res.send(toCsv(sightings, EXPORT_COLUMNS));
+
+  } catch (error) {
+    console.error('Error exporting sightings:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to export sightings'
+    });
+  }
+});
+
+// Delete a sighting
+router.delete('/:id', async (req, res) => {
+  try {
+    const sightingId = parseInt(req.params.id);
+    const deleted = !isNaN(sightingId) && await sightingService.deleteSighting(req.user.id, sightingId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Sighting not found',
+        message: `No sighting with id: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: sightingId, message: 'Sighting deleted' }
+    });
+
+  } catch (error) {
+    console.error('Error deleting sighting:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete sighting'
+    });
+  }
+});
+
+module.exports = router;
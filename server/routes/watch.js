@@ -0,0 +1,200 @@
+const express = require('express');
+const { watchService, RULE_KINDS } = require('../services/watchService');
+const { parseTimestamp } = require('../utils/time');
+const { requireAuth } = require('../middleware/auth');
+const { roundCoordinate } = require('../utils/privacy');
+
+const router = express.Router();
+
+// Watch rules and notifications belong to the authenticated user
+router.use(requireAuth);
+
+// Validate a watch rule body, returning { error } or the normalized rule
+function parseRule({ kind, value, label, radius_km = 50, max_altitude, latitude, longitude }) {
+  if (!RULE_KINDS.includes(kind)) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: `kind must be one of ${RULE_KINDS.join(', ')}`
+      }
+    };
+  }
+
+  let normalizedValue = null;
+  if (kind !== 'any') {
+    normalizedValue = typeof value === 'string' ? value.trim() : '';
+    if (kind === 'icao24') {
+      normalizedValue = normalizedValue.toLowerCase();
+    }
+
+    if (!normalizedValue || (kind === 'icao24' && !/^[0-9a-f]{6}$/.test(normalizedValue))) {
+      return {
+        error: {
+          error: 'Invalid parameters',
+          message: kind === 'icao24' ? 'value must be a 6-digit hex ICAO24 address' : `value is required for ${kind} rules`
+        }
+      };
+    }
+  }
+
+  const radiusKm = parseFloat(radius_km);
+  const maxAltitude = max_altitude !== undefined && max_altitude !== null ? parseFloat(max_altitude) : null;
+
+  if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 500 || Number.isNaN(maxAltitude)) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: 'radius_km must be between 0 and 500 and max_altitude a number of meters'
+      }
+    };
+  }
+
+  // Without an altitude limit an "any" rule would report every aircraft
+  if (kind === 'any' && maxAltitude === null) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: 'max_altitude is required for any rules'
+      }
+    };
+  }
+
+  const hasCenter = latitude !== undefined && latitude !== null;
+  const lat = hasCenter ? parseFloat(latitude) : null;
+  const lon = hasCenter ? parseFloat(longitude) : null;
+
+  if (hasCenter && (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180)) {
+    return {
+      error: {
+        error: 'Invalid coordinates',
+        message: 'Latitude must be between -90 and 90, longitude between -180 and 180'
+      }
+    };
+  }
+
+  return {
+    rule: {
+      kind,
+      value: normalizedValue,
+      label: label || null,
+      radius_km: radiusKm,
+      max_altitude: maxAltitude,
+      latitude: hasCenter ? roundCoordinate(lat) : null,
+      longitude: hasCenter ? roundCoordinate(lon) : null
+    }
+  };
+}
+
+// List the user's watch rules
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await watchService.getRules(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        count: rules.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting watch rules:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve watch rules'
+    });
+  }
+});
+
+// Create a watch rule. Rules without latitude/longitude follow the user's
+// stored location (POST /api/location/store).
+router.post('/rules', async (req, res) => {
+  try {
+    const parsed = parseRule(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+
+    const rule = await watchService.createRule(req.user.id, parsed.rule);
+
+    res.status(201).json({
+      success: true,
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('Error creating watch rule:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create watch rule'
+    });
+  }
+});
+
+// Delete a watch rule
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const deleted = !isNaN(ruleId) && await watchService.deleteRule(req.user.id, ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        message: `No watch rule with id: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: ruleId, message: 'Watch rule deleted' }
+    });
+
+  } catch (error) {
+    console.error('Error deleting watch rule:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete watch rule'
+    });
+  }
+});
+
+// Notifications raised by the user's rules, newest first. Poll with since
+// (unix seconds or a date) to fetch only new ones.
+router.get('/notifications', async (req, res) => {
+  try {
+    const { since, limit = 50 } = req.query;
+    const sinceTs = since ? parseTimestamp(since) : null;
+    const maxResults = parseInt(limit);
+
+    if (Number.isNaN(sinceTs) || isNaN(maxResults) || maxResults <= 0 || maxResults > 500) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'since must be a unix timestamp or ISO 8601 date and limit between 1 and 500'
+      });
+    }
+
+    const notifications = await watchService.getNotifications(req.user.id, {
+      since: sinceTs,
+      limit: maxResults
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        count: notifications.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve notifications'
+    });
+  }
+});
+
+module.exports = router;
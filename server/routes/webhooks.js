@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const express = require('express');
+const { webhookService, WEBHOOK_EVENTS } = require('../services/webhookService');
+const { requireAuth } = require('../middleware/auth');
+const { roundCoordinate } = require('../utils/privacy');
+const { checkWebhookUrl } = require('../utils/webhookUrl');
+
+const router = express.Router();
+
+// Webhooks belong to the authenticated user; watch.match only delivers
+// their own notifications
+router.use(requireAuth);
+
+// Validate a webhook registration, returning { error } or the normalized
+// webhook
+function parseWebhook({ url, events, secret, description, latitude, longitude, radius_km = 50 }) {
+  if (!url || !/^https?:\/\/\S+$/.test(url)) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: 'url must be an http(s) URL'
+      }
+    };
+  }
+
+  const eventList = Array.isArray(events) ? events : String(events || '').split(',').map(value => value.trim());
+  if (eventList.length === 0 || eventList.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: `events must list one or more of ${WEBHOOK_EVENTS.join(', ')}`
+      }
+    };
+  }
+
+  const hasArea = latitude !== undefined && latitude !== null;
+  const lat = hasArea ? parseFloat(latitude) : null;
+  const lon = hasArea ? parseFloat(longitude) : null;
+  const radiusKm = hasArea ? parseFloat(radius_km) : null;
+
+  if (hasArea && ([lat, lon, radiusKm].some(isNaN) || lat < -90 || lat > 90 || lon < -180 || lon > 180 ||
+      radiusKm <= 0 || radiusKm > 500)) {
+    return {
+      error: {
+        error: 'Invalid coordinates',
+        message: 'latitude/longitude must be valid coordinates and radius_km between 0 and 500'
+      }
+    };
+  }
+
+  if (eventList.includes('aircraft.entered') && !hasArea) {
+    return {
+      error: {
+        error: 'Invalid parameters',
+        message: 'aircraft.entered needs latitude, longitude and radius_km'
+      }
+    };
+  }
+
+  return {
+    webhook: {
+      url,
+      events: eventList,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      description: description || null,
+      latitude: hasArea ? roundCoordinate(lat) : null,
+      longitude: hasArea ? roundCoordinate(lon) : null,
+      radius_km: radiusKm
+    }
+  };
+}
+
+// List the user's webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await webhookService.getWebhooks(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: webhooks.map(webhook => webhookService.formatWebhook(webhook)),
+        events: WEBHOOK_EVENTS
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve webhooks'
+    });
+  }
+});
+
+// Register a webhook. The signing secret is generated unless supplied and
+// is only returned in this response. URLs resolving to loopback, private or
+// link-local addresses are refused unless the host is in
+// WEBHOOK_ALLOWED_HOSTS.
+router.post('/', async (req, res) => {
+  try {
+    const parsed = parseWebhook(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+
+    const urlError = await checkWebhookUrl(parsed.webhook.url);
+    if (urlError) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: urlError
+      });
+    }
+
+    const webhook = await webhookService.createWebhook({ ...parsed.webhook, user_id: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        webhook: { ...webhookService.formatWebhook(webhook), secret: webhook.secret }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create webhook'
+    });
+  }
+});
+
+// Remove a webhook along with its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const deleted = !isNaN(id) && await webhookService.deleteWebhook(req.user.id, id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: `No webhook with id: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id, message: 'Webhook deleted' }
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete webhook'
+    });
+  }
+});
+
+// Recent deliveries and their attempts
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (isNaN(id) || limit <= 0 || limit > 500) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'id must be a number and limit between 1 and 500'
+      });
+    }
+
+    if (!await webhookService.getWebhook(req.user.id, id)) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: `No webhook with id: ${req.params.id}`
+      });
+    }
+
+    const deliveries = await webhookService.getDeliveries(id, limit);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        count: deliveries.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve webhook deliveries'
+    });
+  }
+});
+
+// Queue a ping delivery to check the receiver end to end
+router.post('/:id/test', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const webhook = await webhookService.getWebhook(req.user.id, id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: `No webhook with id: ${req.params.id}`
+      });
+    }
+
+    await webhookService.enqueue(webhook, 'ping', { message: 'Test delivery' });
+
+    res.status(202).json({
+      success: true,
+      data: { id, message: 'Test delivery queued' }
+    });
+
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to queue test delivery'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+// Compares the R*Tree radius lookup in getAircraftNearLocation with the
+// previous approach (newest 1000 rows, distances computed in JS) on a
+// throwaway database filled with synthetic worldwide traffic:
+//
+//   node server/scripts/benchmark-nearby.js [aircraft] [queries]
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const [aircraftCount = '20000', queryCount = '200'] = process.argv.slice(2);
+const dbPath = path.join(os.tmpdir(), `airplanes-benchmark-${process.pid}.db`);
+process.env.DB_PATH = dbPath;
+
+const { initializeDatabase, getDatabase } = require('../database/init');
+const { aircraftService } = require('../services/aircraftService');
+const { calculateDistance } = require('../utils/geo');
+
+// Sample points include the antimeridian and both polar regions
+const QUERY_POINTS = [
+  { lat: 40.64, lon: -73.78 },
+  { lat: -33.95, lon: 151.18 },
+  { lat: -23.43, lon: -46.47 },
+  { lat: 64.0, lon: 179.9 },
+  { lat: -16.5, lon: -179.9 },
+  { lat: 89.5, lon: 45 },
+  { lat: -89.9, lon: 0 }
+];
+
+function syntheticAircraft(index) {
+  // Uniform over the sphere rather than over lat/lon
+  const latitude = Math.asin(2 * Math.random() - 1) * 180 / Math.PI;
+  return {
+    icao24: index.toString(16).padStart(6, '0'),
+    callsign: `BENCH${index}`,
+    latitude,
+    longitude: Math.random() * 360 - 180,
+    altitude: 1000 + Math.random() * 11000,
+    on_ground: false,
+    time_position: Math.floor(Date.now() / 1000)
+  };
+}
+
+function legacyNearby(lat, lon, radiusKm) {
+  const db = getDatabase();
+  const query = `
+    SELECT * FROM aircraft
+    WHERE on_ground = 0 AND altitude > 0 AND latitude IS NOT NULL AND longitude IS NOT NULL
+    ORDER BY last_updated DESC
+    LIMIT 1000
+  `;
+
+  return new Promise((resolve, reject) => {
+    db.all(query, [], (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows
+        .map(row => ({ ...row, distance_km: calculateDistance(lat, lon, row.latitude, row.longitude) }))
+        .filter(row => row.distance_km <= radiusKm));
+    });
+  });
+}
+
+function bruteForceCount(lat, lon, radiusKm) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all('SELECT latitude, longitude FROM aircraft WHERE on_ground = 0 AND altitude > 0', [], (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows.filter(row => calculateDistance(lat, lon, row.latitude, row.longitude) <= radiusKm).length);
+    });
+  });
+}
+
+async function time(label, queries, fn) {
+  let found = 0;
+  const start = process.hrtime.bigint();
+  for (const { lat, lon, radius } of queries) {
+    found += (await fn(lat, lon, radius)).length;
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(10)} ${(elapsedMs / queries.length).toFixed(2)} ms/query, ${found} aircraft found`);
+}
+
+async function run() {
+  await initializeDatabase();
+
+  const aircraft = Array.from({ length: parseInt(aircraftCount) }, (_, i) => syntheticAircraft(i + 1));
+  await aircraftService.upsertAircraft(aircraft);
+
+  const queries = Array.from({ length: parseInt(queryCount) }, (_, i) => ({
+    ...QUERY_POINTS[i % QUERY_POINTS.length],
+    radius: 100 + (i % 5) * 100
+  }));
+
+  console.log(`\n📊 ${aircraft.length} aircraft, ${queries.length} queries\n`);
+
+  let expected = 0;
+  for (const { lat, lon, radius } of queries) {
+    expected += await bruteForceCount(lat, lon, radius);
+  }
+  console.log(`${'exact'.padEnd(10)} ${expected} aircraft within radius`);
+
+  await time('legacy', queries, legacyNearby);
+  await time('rtree', queries, (lat, lon, radius) => aircraftService.getAircraftNearLocation(lat, lon, radius));
+}
+
+run()
+  .catch(error => {
+    console.error('❌ Benchmark failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    getDatabase().close(() => fs.rmSync(dbPath, { force: true }));
+  });
@@ -0,0 +1,48 @@
+// Imports aircraft registration/type/operator data from a CSV in the OpenSky
+// aircraftDatabase format (https://opensky-network.org/datasets/metadata/):
+//
+//   node server/scripts/import-aircraft-db.js aircraftDatabase.csv
+require('dotenv').config();
+const { initializeDatabase, closeDatabase } = require('../database/init');
+const { importService } = require('../services/importService');
+
+const [filePath] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: node server/scripts/import-aircraft-db.js <aircraftDatabase.csv>');
+  process.exit(1);
+}
+
+const nullIfEmpty = (value) => (value ? value : null);
+
+async function run() {
+  await initializeDatabase();
+
+  await importService.importCsv(filePath, {
+    table: 'aircraft_metadata',
+    columns: ['icao24', 'registration', 'manufacturer', 'model', 'typecode', 'operator', 'operator_icao', 'owner'],
+    replace: true,
+    mapRow: (row) => {
+      const icao24 = (row.icao24 || '').toLowerCase();
+      if (!/^[0-9a-f]{6}$/.test(icao24)) return null;
+
+      return [
+        icao24,
+        nullIfEmpty(row.registration),
+        nullIfEmpty(row.manufacturername || row.manufacturer || row.manufacturericao),
+        nullIfEmpty(row.model),
+        nullIfEmpty(row.typecode),
+        nullIfEmpty(row.operator),
+        nullIfEmpty(row.operatoricao),
+        nullIfEmpty(row.owner)
+      ];
+    }
+  });
+}
+
+run()
+  .catch(error => {
+    console.error('❌ Aircraft database import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
@@ -0,0 +1,46 @@
+// Imports ICAO airline designators used to decode callsigns. Expects a CSV
+// with a header row containing icao, iata, name, callsign and country:
+//
+//   node server/scripts/import-airlines.js airlines.csv
+require('dotenv').config();
+const { initializeDatabase, closeDatabase } = require('../database/init');
+const { importService } = require('../services/importService');
+
+const [filePath] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: node server/scripts/import-airlines.js <airlines.csv>');
+  process.exit(1);
+}
+
+const nullIfEmpty = (value) => (value ? value : null);
+
+async function run() {
+  await initializeDatabase();
+
+  await importService.importCsv(filePath, {
+    table: 'airlines',
+    columns: ['icao', 'iata', 'name', 'callsign', 'country'],
+    replace: true,
+    mapRow: (row) => {
+      const icao = (row.icao || row.icao_code || '').trim().toUpperCase();
+      const name = (row.name || row.airline || '').trim();
+      if (!/^[A-Z]{3}$/.test(icao) || !name) return null;
+
+      return [
+        icao,
+        nullIfEmpty((row.iata || row.iata_code || '').trim().toUpperCase()),
+        name,
+        nullIfEmpty(row.callsign),
+        nullIfEmpty(row.country)
+      ];
+    }
+  });
+}
+
+run()
+  .catch(error => {
+    console.error('❌ Airline import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
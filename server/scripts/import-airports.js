@@ -0,0 +1,55 @@
+// Imports airports from the OurAirports airports.csv
+// (https://ourairports.com/data/). Closed airports are skipped and
+// elevations are converted from feet to meters:
+//
+//   node server/scripts/import-airports.js airports.csv
+require('dotenv').config();
+const { initializeDatabase, closeDatabase } = require('../database/init');
+const { importService } = require('../services/importService');
+const { FEET_TO_METERS } = require('../services/sources/units');
+
+const [filePath] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: node server/scripts/import-airports.js <airports.csv>');
+  process.exit(1);
+}
+
+const nullIfEmpty = (value) => (value ? value : null);
+
+async function run() {
+  await initializeDatabase();
+
+  await importService.importCsv(filePath, {
+    table: 'airports',
+    columns: ['ident', 'iata', 'name', 'type', 'latitude', 'longitude', 'elevation', 'municipality', 'country'],
+    replace: true,
+    mapRow: (row) => {
+      const latitude = parseFloat(row.latitude_deg || row.lat);
+      const longitude = parseFloat(row.longitude_deg || row.lon);
+      const elevationFt = parseFloat(row.elevation_ft || row.elevation);
+
+      if (!row.ident || !row.name || row.type === 'closed') return null;
+      if (isNaN(latitude) || isNaN(longitude)) return null;
+
+      return [
+        row.ident.toUpperCase(),
+        nullIfEmpty(row.iata_code || row.iata),
+        row.name,
+        nullIfEmpty(row.type),
+        latitude,
+        longitude,
+        isNaN(elevationFt) ? null : Math.round(elevationFt * FEET_TO_METERS),
+        nullIfEmpty(row.municipality),
+        nullIfEmpty(row.iso_country)
+      ];
+    }
+  });
+}
+
+run()
+  .catch(error => {
+    console.error('❌ Airport import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
@@ -0,0 +1,74 @@
+// Imports populated places from a GeoNames cities dump (cities15000.txt,
+// cities5000.txt, ... from https://download.geonames.org/export/dump/) for
+// offline reverse geocoding. Pass admin1CodesASCII.txt as well to resolve
+// state/region names:
+//
+//   node server/scripts/import-cities.js cities15000.txt [admin1CodesASCII.txt]
+require('dotenv').config();
+const { initializeDatabase, closeDatabase } = require('../database/init');
+const { importService } = require('../services/importService');
+const { readCsv } = require('../utils/csv');
+
+// GeoNames dumps are tab-separated without a header row
+const GEONAMES_COLUMNS = [
+  'geonameid', 'name', 'asciiname', 'alternatenames', 'latitude', 'longitude',
+  'feature_class', 'feature_code', 'country_code', 'cc2', 'admin1_code', 'admin2_code',
+  'admin3_code', 'admin4_code', 'population', 'elevation', 'dem', 'timezone', 'modification_date'
+];
+const ADMIN1_COLUMNS = ['code', 'name', 'asciiname', 'geonameid'];
+const GEONAMES_FORMAT = { delimiter: '\t', quote: false };
+
+const [filePath, admin1Path] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: node server/scripts/import-cities.js <cities.txt> [admin1CodesASCII.txt]');
+  process.exit(1);
+}
+
+// "US.CA" -> "California"
+async function loadAdmin1Names(path) {
+  const names = new Map();
+  if (!path) return names;
+
+  for await (const row of readCsv(path, { ...GEONAMES_FORMAT, header: ADMIN1_COLUMNS })) {
+    names.set(row.code, row.name);
+  }
+  return names;
+}
+
+async function run() {
+  await initializeDatabase();
+  const admin1Names = await loadAdmin1Names(admin1Path);
+
+  await importService.importCsv(filePath, {
+    table: 'cities',
+    columns: ['geonameid', 'name', 'latitude', 'longitude', 'country_code', 'state', 'population'],
+    replace: true,
+    csv: { ...GEONAMES_FORMAT, header: GEONAMES_COLUMNS },
+    mapRow: (row) => {
+      const latitude = parseFloat(row.latitude);
+      const longitude = parseFloat(row.longitude);
+
+      // Only populated places (feature class P)
+      if (!row.geonameid || !row.name || row.feature_class !== 'P') return null;
+      if (isNaN(latitude) || isNaN(longitude)) return null;
+
+      return [
+        parseInt(row.geonameid),
+        row.name,
+        latitude,
+        longitude,
+        row.country_code || null,
+        admin1Names.get(`${row.country_code}.${row.admin1_code}`) || null,
+        parseInt(row.population) || 0
+      ];
+    }
+  });
+}
+
+run()
+  .catch(error => {
+    console.error('❌ City import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
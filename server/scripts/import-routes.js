@@ -0,0 +1,48 @@
+// Imports known callsign routes. Accepts either a CSV with callsign, origin
+// and destination columns, or the Virtual Radar Server standing-data
+// routes.csv where AirportCodes lists every stop ("EGLL-KJFK"):
+//
+//   node server/scripts/import-routes.js routes.csv
+require('dotenv').config();
+const { initializeDatabase, closeDatabase } = require('../database/init');
+const { importService } = require('../services/importService');
+
+const [filePath] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: node server/scripts/import-routes.js <routes.csv>');
+  process.exit(1);
+}
+
+// Multi-leg routes are stored as first origin and final destination
+function endpoints(row) {
+  if (row.airportcodes) {
+    const stops = row.airportcodes.split('-').map(code => code.trim()).filter(Boolean);
+    return [stops[0], stops[stops.length - 1]];
+  }
+  return [row.origin || row.from, row.destination || row.to];
+}
+
+async function run() {
+  await initializeDatabase();
+
+  await importService.importCsv(filePath, {
+    table: 'routes',
+    columns: ['callsign', 'origin', 'destination'],
+    replace: true,
+    mapRow: (row) => {
+      const callsign = (row.callsign || '').trim().toUpperCase();
+      const [origin, destination] = endpoints(row);
+      if (!callsign || !origin || !destination || origin === destination) return null;
+
+      return [callsign, origin.toUpperCase(), destination.toUpperCase()];
+    }
+  });
+}
+
+run()
+  .catch(error => {
+    console.error('❌ Route import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
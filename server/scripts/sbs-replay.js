@@ -0,0 +1,38 @@
+// Serves a recorded SBS-1 capture over TCP so the sbs data source can be
+// exercised without a receiver:
+//
+//   node server/scripts/sbs-replay.js capture.sbs [port] [interval-ms]
+//
+// Point the server at it with SBS_HOST=127.0.0.1 SBS_PORT=<port>.
+// server/test/fixtures/capture.sbs is a short sample capture.
+const fs = require('fs');
+const net = require('net');
+
+const [capturePath, port = '30003', interval = '50'] = process.argv.slice(2);
+
+if (!capturePath) {
+  console.error('Usage: node server/scripts/sbs-replay.js <capture file> [port] [interval-ms]');
+  process.exit(1);
+}
+
+const lines = fs.readFileSync(capturePath, 'utf8')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line.startsWith('MSG,'));
+
+const server = net.createServer((socket) => {
+  console.log(`📡 Client connected, replaying ${lines.length} messages`);
+  let index = 0;
+
+  const timer = setInterval(() => {
+    socket.write(`${lines[index]}\r\n`);
+    index = (index + 1) % lines.length;
+  }, parseInt(interval));
+
+  socket.on('close', () => clearInterval(timer));
+  socket.on('error', () => clearInterval(timer));
+});
+
+server.listen(parseInt(port), () => {
+  console.log(`✅ SBS replay server listening on port ${port}`);
+});
@@ -0,0 +1,47 @@
+// Local stand-in for a webhook consumer. Prints each delivery and checks
+// its signature; the first fail-count requests get a 503 so retries can be
+// exercised:
+//
+//   node server/scripts/webhook-receiver.js [port] [secret] [fail-count]
+//
+// Register http://localhost:<port>/ with POST /api/webhooks.
+const http = require('http');
+const { verifySignature } = require('../utils/signature');
+
+const [port = '4000', secret = '', failCount = '0'] = process.argv.slice(2);
+let remainingFailures = parseInt(failCount);
+
+function verify(req, body) {
+  const signature = req.headers['x-webhook-signature'];
+  if (!secret) return 'not checked';
+  if (!signature) return '❌ missing';
+
+  const valid = verifySignature(secret, req.headers['x-webhook-timestamp'], body, signature);
+  return valid ? '✅ valid' : '❌ invalid';
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-webhook-event'];
+    const delivery = req.headers['x-webhook-delivery'];
+
+    if (remainingFailures > 0) {
+      remainingFailures--;
+      console.log(`⚠️ ${event} delivery ${delivery}: answering 503 (${remainingFailures} failures left)`);
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+
+    console.log(`📥 ${event} delivery ${delivery}, signature ${verify(req, body)}`);
+    console.log(body);
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(parseInt(port), () => {
+  console.log(`✅ Webhook receiver listening on port ${port}`);
+});
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { getDatabase, openDatabase } = require('../database/init');
+
+const KEY_PREFIX = 'atk_';
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Accounts and their API keys. Keys are random, shown once on creation and
+// only their hash is stored.
+class AccountService {
+  async createAccount(name = null) {
+    const db = getDatabase();
+    const id = crypto.randomUUID();
+
+    await run(db, 'INSERT INTO users (id, name) VALUES (?, ?)', [id, name]);
+    const { apiKey, key } = await this.createKey(id, 'default');
+
+    const [user] = await all(db, 'SELECT * FROM users WHERE id = ?', [id]);
+    return { user, apiKey, key };
+  }
+
+  async createKey(userId, label = null) {
+    const db = getDatabase();
+    const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const prefix = apiKey.slice(0, KEY_PREFIX.length + 6);
+
+    const result = await run(
+      db,
+      'INSERT INTO api_keys (user_id, key_hash, prefix, label) VALUES (?, ?, ?, ?)',
+      [userId, hashKey(apiKey), prefix, label]
+    );
+
+    const [key] = await all(db, 'SELECT id, prefix, label, created_at FROM api_keys WHERE id = ?', [result.lastID]);
+    return { apiKey, key };
+  }
+
+  // Resolves to the key's user (with key_id), or null for unknown and
+  // revoked keys. Read-only, unlike authenticate().
+  async findKey(apiKey) {
+    if (!apiKey || !apiKey.startsWith(KEY_PREFIX)) return null;
+
+    const [row] = await all(getDatabase(), `
+      SELECT k.id AS key_id, u.*
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = ? AND k.revoked_at IS NULL
+    `, [hashKey(apiKey)]);
+
+    return row || null;
+  }
+
+  // Like findKey, and records the key as used
+  async authenticate(apiKey) {
+    const row = await this.findKey(apiKey);
+    if (!row) return null;
+
+    await run(getDatabase(), 'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.key_id]);
+    return row;
+  }
+
+  async getKeys(userId) {
+    return all(getDatabase(), `
+      SELECT id, prefix, label, created_at, last_used_at, revoked_at
+      FROM api_keys
+      WHERE user_id = ?
+      ORDER BY id
+    `, [userId]);
+  }
+
+  async revokeKey(userId, keyId) {
+    const result = await run(
+      getDatabase(),
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [keyId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  // Removes the account and everything stored for it. Returns the number of
+  // rows deleted per table. Runs on its own connection so the transaction
+  // can't pick up statements from concurrent requests.
+  async deleteAccount(userId) {
+    const tables = ['user_locations', 'sightings', 'notifications', 'watch_rules', 'webhooks', 'api_keys', 'users'];
+    const deleted = {};
+    const db = await openDatabase();
+
+    try {
+      await run(db, 'BEGIN IMMEDIATE TRANSACTION');
+      try {
+        for (const table of tables) {
+          const column = table === 'users' ? 'id' : 'user_id';
+          const result = await run(db, `DELETE FROM ${table} WHERE ${column} = ?`, [userId]);
+          deleted[table] = result.changes;
+        }
+        await run(db, 'COMMIT');
+      } catch (error) {
+        await run(db, 'ROLLBACK');
+        throw error;
+      }
+    } finally {
+      db.close();
+    }
+
+    return deleted;
+  }
+}
+
+const accountService = new AccountService();
+
+module.exports = {
+  accountService
+};
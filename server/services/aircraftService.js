@@ -1,144 +1,155 @@
-const axios = require('axios');
+const EventEmitter = require('events');
 const cron = require('node-cron');
 const { getDatabase } = require('../database/init');
+const { historyService } = require('./historyService');
+const { regionService } = require('./regionService');
+const { airportService } = require('./airportService');
+const { eventService } = require('./eventService');
+const { lifecycleService } = require('./lifecycleService');
+const { flightService } = require('./flightService');
+const { calculateDistance, boundingBoxes, hasPosition } = require('../utils/geo');
+const { observerView } = require('../utils/visibility');
+const { decodeCallsign } = require('../utils/callsign');
+const { SourceRegistry } = require('./sources/sourceRegistry');
+const { OpenSkySource } = require('./sources/openSkySource');
+const { AviationStackSource } = require('./sources/aviationStackSource');
+const { SbsSource } = require('./sources/sbsSource');
+const { ReadsbJsonSource } = require('./sources/readsbJsonSource');
+const { PlaybackSource } = require('./sources/playbackSource');
 
-class AircraftService {
+// Aircraft rows joined with the optional reference tables. Only callsigns
+// shaped like an airline flight ("UAL123") are matched against designators,
+// so registrations used as callsigns don't pick up a random airline.
+const AIRCRAFT_DETAILS_SELECT = `
+  SELECT a.*, m.registration, m.manufacturer, m.model, m.typecode, m.operator,
+         al.name AS airline_name, al.iata AS airline_iata,
+         rt.origin, rt.destination
+  FROM aircraft a
+`;
+
+const AIRCRAFT_DETAILS_JOINS = `
+  LEFT JOIN aircraft_metadata m ON m.icao24 = a.icao24
+  LEFT JOIN airlines al ON al.icao = substr(trim(a.callsign), 1, 3)
+    AND trim(a.callsign) GLOB '[A-Z][A-Z][A-Z][0-9]*'
+  LEFT JOIN routes rt ON rt.callsign = trim(a.callsign)
+`;
+
+// Emits 'updated' after each cycle that wrote fresh aircraft data
+class AircraftService extends EventEmitter {
   constructor() {
+    super();
     this.isRunning = false;
     this.updateInterval = parseInt(process.env.AIRCRAFT_UPDATE_INTERVAL) || 30;
+
+    // Local receivers (SBS_HOST, READSB_JSON) rank ahead of OpenSky (free, no
+    // API key required), with Aviation Stack as fallback. A recording in
+    // PLAYBACK_DIR replaces the live OpenSky feed.
+    this.sources = new SourceRegistry();
+    this.sources.register(new PlaybackSource());
+    this.sources.register(new OpenSkySource({
+      enabled: !process.env.PLAYBACK_DIR,
+      getBoundingBoxes: () => regionService.getBoundingBoxes()
+    }));
+    this.sources.register(new AviationStackSource());
+    this.sources.register(new SbsSource());
+    this.sources.register(new ReadsbJsonSource());
+    this.sources.loadModules();
+  }
+
+  registerSource(source) {
+    return this.sources.register(source);
+  }
+
+  getSourceHealth() {
+    return this.sources.getHealth();
   }
 
   async fetchAircraftData() {
     try {
-      // Try OpenSky Network first (free, no API key required)
-      const aircraftData = await this.fetchFromOpenSky();
-      if (aircraftData && aircraftData.length > 0) {
-        await this.updateDatabase(aircraftData);
-        console.log(`✅ Updated ${aircraftData.length} aircraft from OpenSky Network`);
+      const { aircraft, sources } = await this.sources.fetchAll();
+      if (aircraft.length > 0) {
+        await this.updateDatabase(aircraft);
+        console.log(`✅ Updated ${aircraft.length} aircraft from ${sources.join(', ')}`);
+        this.emit('updated', { count: aircraft.length, sources });
         return;
       }
 
-      // Fallback to Aviation Stack if OpenSky fails
-      if (process.env.AVIATION_API_KEY) {
-        const aviationData = await this.fetchFromAviationStack();
-        if (aviationData && aviationData.length > 0) {
-          await this.updateDatabase(aviationData);
-          console.log(`✅ Updated ${aviationData.length} aircraft from Aviation Stack`);
-          return;
-        }
-      }
-
       console.log('⚠️ No aircraft data available from any source');
     } catch (error) {
       console.error('❌ Error fetching aircraft data:', error.message);
     }
   }
 
-  async fetchFromOpenSky() {
+  async updateDatabase(aircraftData) {
     try {
-      // Get aircraft within a large bounding box (worldwide)
-      const bbox = 'minLat=0&maxLat=90&minLon=-180&maxLon=180';
-      const url = `https://opensky-network.org/api/states/all?${bbox}`;
-      
-      const response = await axios.get(url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'AirplaneTracker/1.0'
-        }
-      });
-
-      if (response.data && response.data.states) {
-        return response.data.states.map(state => this.transformOpenSkyData(state));
-      }
-      return [];
+      await lifecycleService.recordTransitions(aircraftData);
     } catch (error) {
-      console.error('OpenSky Network error:', error.message);
-      return [];
+      console.error('❌ Error recording takeoffs and landings:', error.message);
     }
-  }
 
-  async fetchFromAviationStack() {
-    try {
-      const url = `${process.env.AVIATION_API_BASE_URL}/flights`;
-      const response = await axios.get(url, {
-        params: {
-          access_key: process.env.AVIATION_API_KEY,
-          limit: 100
-        },
-        timeout: 10000
-      });
+    await this.upsertAircraft(aircraftData);
 
-      if (response.data && response.data.data) {
-        return response.data.data.map(flight => this.transformAviationStackData(flight));
-      }
-      return [];
+    try {
+      await lifecycleService.expireStale();
     } catch (error) {
-      console.error('Aviation Stack error:', error.message);
-      return [];
+      console.error('❌ Error expiring stale aircraft:', error.message);
+    }
+    
+    try {
+      await historyService.recordSamples(aircraftData);
+      // Aircraft unchanged for the stale window have just been expired
+      await historyService.pruneHistory(lifecycleService.staleSeconds);
+    } catch (error) {
+      console.error('❌ Error recording aircraft history:', error.message);
     }
-  }
 
-  transformOpenSkyData(state) {
-    return {
-      icao24: state[0],
-      callsign: state[1] || null,
-      origin_country: state[2] || null,
-      time_position: state[3] || null,
-      time_velocity: state[4] || null,
-      longitude: state[5] || null,
-      latitude: state[6] || null,
-      altitude: state[7] || null,
-      on_ground: state[8] || false,
-      velocity: state[9] || null,
-      true_track: state[10] || null,
-      vertical_rate: state[11] || null,
-      sensors: state[12] ? state[12].join(',') : null,
-      geo_altitude: state[13] || null,
-      squawk: state[14] || null,
-      spi: state[15] || false,
-      position_source: state[16] || null,
-      category: state[17] || null
-    };
-  }
+    try {
+      await eventService.detect(aircraftData);
+    } catch (error) {
+      console.error('❌ Error detecting aircraft events:', error.message);
+    }
 
-  transformAviationStackData(flight) {
-    return {
-      icao24: flight.aircraft?.icao24 || null,
-      callsign: flight.flight?.iata || flight.flight?.icao || null,
-      origin_country: flight.airline?.country || null,
-      time_position: null,
-      time_velocity: null,
-      longitude: flight.departure?.longitude || null,
-      latitude: flight.departure?.latitude || null,
-      altitude: null,
-      on_ground: flight.flight_status === 'landed',
-      velocity: null,
-      true_track: null,
-      vertical_rate: null,
-      sensors: null,
-      geo_altitude: null,
-      squawk: null,
-      spi: false,
-      position_source: null,
-      category: null
-    };
+    try {
+      await flightService.track(aircraftData);
+    } catch (error) {
+      console.error('❌ Error tracking flights:', error.message);
+    }
   }
 
-  async updateDatabase(aircraftData) {
+  async upsertAircraft(aircraftData) {
     const db = getDatabase();
     
     return new Promise((resolve, reject) => {
       db.serialize(() => {
         const stmt = db.prepare(`
-          INSERT OR REPLACE INTO aircraft (
+          INSERT INTO aircraft (
             icao24, callsign, origin_country, time_position, time_velocity,
             longitude, latitude, altitude, on_ground, velocity, true_track,
             vertical_rate, sensors, geo_altitude, squawk, spi, position_source, category
           ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(icao24) DO UPDATE SET
+            callsign = excluded.callsign,
+            origin_country = excluded.origin_country,
+            time_position = excluded.time_position,
+            time_velocity = excluded.time_velocity,
+            longitude = excluded.longitude,
+            latitude = excluded.latitude,
+            altitude = excluded.altitude,
+            on_ground = excluded.on_ground,
+            velocity = excluded.velocity,
+            true_track = excluded.true_track,
+            vertical_rate = excluded.vertical_rate,
+            sensors = excluded.sensors,
+            geo_altitude = excluded.geo_altitude,
+            squawk = excluded.squawk,
+            spi = excluded.spi,
+            position_source = excluded.position_source,
+            category = excluded.category,
+            last_updated = CURRENT_TIMESTAMP
         `);
 
         aircraftData.forEach(aircraft => {
-          if (aircraft.icao24 && aircraft.latitude && aircraft.longitude) {
+          if (aircraft.icao24 && hasPosition(aircraft)) {
             stmt.run([
               aircraft.icao24,
               aircraft.callsign,
@@ -173,82 +184,120 @@ class AircraftService {
     });
   }
 
-  async getAircraftNearLocation(lat, lon, radiusKm = 100) {
+  // Candidates come from the aircraft_rtree bounding-box lookup and are
+  // then trimmed to the exact great-circle radius. observerAltitude (meters)
+  // feeds the line-of-sight model; minElevation (degrees) drops aircraft
+  // lower in the observer's sky than that. Results are annotated with the
+  // nearest airport and a flight phase guess. Aircraft without a position
+  // report in AIRCRAFT_STALE_SECONDS are left out even before they expire.
+  async getAircraftNearLocation(lat, lon, radiusKm = 100, { observerAltitude = 0, minElevation = null } = {}) {
     const db = getDatabase();
-    
+    const boxes = boundingBoxes(lat, lon, radiusKm);
+
+    const query = `
+      ${AIRCRAFT_DETAILS_SELECT}
+      JOIN aircraft_rtree r ON r.id = a.id
+      ${AIRCRAFT_DETAILS_JOINS}
+      WHERE r.min_lat <= ? AND r.max_lat >= ?
+        AND r.min_lon <= ? AND r.max_lon >= ?
+        AND a.on_ground = 0
+        AND a.altitude > 0
+        AND COALESCE(a.time_position, CAST(strftime('%s', a.last_updated) AS INTEGER)) >= CAST(strftime('%s', 'now') AS INTEGER) - ?
+    `;
+
+    const candidates = await Promise.all(boxes.map(box => new Promise((resolve, reject) => {
+      db.all(query, [box.lamax, box.lamin, box.lomax, box.lomin, lifecycleService.staleSeconds], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    })));
+
+    // Split boxes never overlap, but a row may sit exactly on the antimeridian
+    const unique = new Map();
+    candidates.flat().forEach(row => unique.set(row.id, row));
+
+    const observer = { latitude: lat, longitude: lon, altitude: observerAltitude };
+
+    const nearby = Array.from(unique.values())
+      .map(row => ({ ...row, distance_km: calculateDistance(lat, lon, row.latitude, row.longitude) }))
+      .filter(aircraft => aircraft.distance_km <= radiusKm)
+      .map(aircraft => ({ ...aircraft, ...observerView(observer, aircraft) }))
+      .filter(aircraft => minElevation === null || aircraft.elevation_deg >= minElevation)
+      .sort((a, b) => a.distance_km - b.distance_km);
+
+    return airportService.annotateAircraft(nearby, lat, lon, radiusKm);
+  }
+
+  async getAircraftByIcao24(icao24) {
+    const db = getDatabase();
+    const query = `
+      ${AIRCRAFT_DETAILS_SELECT}
+      ${AIRCRAFT_DETAILS_JOINS}
+      WHERE a.icao24 = ?
+    `;
+
     return new Promise((resolve, reject) => {
-      // ULTRA SIMPLE: Return ALL aircraft that could potentially be visible!
-      // No complex bounding box calculations - just get aircraft and let the frontend decide
-      
-      console.log(`🔍 ULTRA SIMPLE: Getting all potentially visible aircraft for location (${lat}, ${lon})`);
-      
-      const query = `
-        SELECT * FROM aircraft 
-        WHERE on_ground = 0
-          AND altitude > 0
-          AND latitude IS NOT NULL
-          AND longitude IS NOT NULL
-        ORDER BY last_updated DESC
-        LIMIT 1000
-      `;
-      
-      db.all(query, [], (err, rows) => {
+      db.get(query, [icao24], (err, row) => {
         if (err) {
           reject(err);
         } else {
-          console.log(`🔍 Found ${rows.length} total aircraft in database`);
-          
-          // Calculate distances for ALL aircraft
-          const aircraftWithDistance = rows.map(row => {
-            const distance = aircraftService.calculateDistance(lat, lon, row.latitude, row.longitude);
-            return { ...row, distance_km: distance };
-          });
-          
-          // NARROWER FILTERING: More realistic visibility criteria
-          const visibleAircraft = aircraftWithDistance.filter(aircraft => {
-            // Always include aircraft within the requested radius
-            if (aircraft.distance_km <= radiusKm) return true;
-            
-            // Include aircraft within a reasonable local area (within 200km)
-            if (aircraft.distance_km <= 200) return true;
-            
-            // Include very high-flying aircraft that could be visible from farther
-            // Aircraft above 35,000 ft (≈10.5km) can be seen from farther away
-            if (aircraft.altitude > 10500 && aircraft.distance_km <= 400) return true;
-            
-            // Include aircraft that are reasonably close (within 2x the requested radius)
-            if (aircraft.distance_km <= radiusKm * 2) return true;
-            
-            // Include aircraft that are high and moderately close
-            if (aircraft.altitude > 8000 && aircraft.distance_km <= 300) return true;
-            
-            return false;
-          });
-          
-          console.log(`✈️ Found ${visibleAircraft.length} potentially visible aircraft out of ${aircraftWithDistance.length} total`);
-          
-          // Sort by distance (closest first)
-          visibleAircraft.sort((a, b) => a.distance_km - b.distance_km);
-          
-          resolve(visibleAircraft);
+          resolve(row ? { ...row, ...this.formatFlight(row) } : null);
         }
       });
     });
   }
 
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = this.toRadians(lat2 - lat1);
-    const dLon = this.toRadians(lon2 - lon1);
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) *
-              Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+  // Airline and route fields decoded from the callsign
+  formatFlight(plane) {
+    const { airline_icao, flight_number } = decodeCallsign(plane.callsign);
+
+    return {
+      airline_icao,
+      airline_iata: plane.airline_iata || null,
+      airline_name: plane.airline_name || null,
+      flight_number,
+      origin: plane.origin || null,
+      destination: plane.destination || null
+    };
   }
 
-  toRadians(degrees) {
-    return degrees * (Math.PI / 180);
+  // Shape of an aircraft in /nearby responses and stream events
+  formatNearbyAircraft(plane) {
+    return {
+      id: plane.id,
+      icao24: plane.icao24,
+      callsign: (plane.callsign || '').trim() || 'Unknown',
+      origin_country: plane.origin_country || 'Unknown',
+      registration: plane.registration || null,
+      manufacturer: plane.manufacturer || null,
+      model: plane.model || null,
+      typecode: plane.typecode || null,
+      operator: plane.operator || null,
+      ...this.formatFlight(plane),
+      latitude: plane.latitude,
+      longitude: plane.longitude,
+      altitude: plane.altitude,
+      velocity: plane.velocity,
+      true_track: plane.true_track,
+      distance_km: Math.round(plane.distance_km * 100) / 100,
+      elevation_deg: Math.round(plane.elevation_deg * 10) / 10,
+      azimuth_deg: Math.round(plane.azimuth_deg * 10) / 10,
+      compass_direction: plane.compass_direction,
+      slant_range_km: Math.round(plane.slant_range_km * 100) / 100,
+      above_horizon: plane.above_horizon,
+      relative_motion: plane.relative_motion,
+      closing_speed_ms: plane.closing_speed_ms === null ? null : Math.round(plane.closing_speed_ms * 10) / 10,
+      squawk: plane.squawk || null,
+      spi: Boolean(plane.spi),
+      alerts: eventService.getActiveTypes(plane.icao24),
+      nearest_airport: plane.nearest_airport || null,
+      flight_phase: plane.flight_phase || null,
+      seen_age_s: lifecycleService.getSeenAge(plane),
+      last_updated: plane.last_updated
+    };
   }
 
   startAircraftUpdates() {
@@ -258,6 +307,11 @@ class AircraftService {
     }
 
     this.isRunning = true;
+    this.sources.startAll();
+
+    eventService.loadOpenEvents().catch(error => {
+      console.error('❌ Error loading open aircraft events:', error.message);
+    });
     
     // Initial update
     this.fetchAircraftData();
@@ -272,6 +326,7 @@ class AircraftService {
 
   stopAircraftUpdates() {
     this.isRunning = false;
+    this.sources.stopAll();
     console.log('🛑 Aircraft update service stopped');
   }
 }
@@ -284,6 +339,7 @@ function startAircraftUpdates() {
 
 module.exports = {
   aircraftService,
-  startAircraftUpdates
+  startAircraftUpdates,
+  AIRCRAFT_DETAILS_JOINS
 };
 
@@ -0,0 +1,136 @@
+const { getDatabase } = require('../database/init');
+const { calculateDistance, calculateBearing, compassPoint, boundingBoxes } = require('../utils/geo');
+
+// Airports with scheduled traffic; smaller fields, heliports and seaplane
+// bases are only returned when asked for explicitly
+const MAJOR_AIRPORT_TYPES = ['large_airport', 'medium_airport'];
+
+// Aircraft are matched against airports this far beyond the search radius
+const CONTEXT_MARGIN_KM = 100;
+
+// Below this height over the field, and within this distance of it, an
+// aircraft is treated as being in the airport's terminal area
+const TERMINAL_HEIGHT_M = 3000;
+const TERMINAL_RADIUS_KM = 40;
+
+// Vertical rate (m/s) separating climbs and descents from level flight
+const LEVEL_FLIGHT_RATE = 1.5;
+
+class AirportService {
+  async getAirportsNear(lat, lon, radiusKm, { types = MAJOR_AIRPORT_TYPES, limit = null } = {}) {
+    const db = getDatabase();
+    const typeFilter = types && types.length > 0
+      ? `AND type IN (${types.map(() => '?').join(', ')})`
+      : '';
+
+    const query = `
+      SELECT ident, iata, name, type, latitude, longitude, elevation, municipality, country
+      FROM airports
+      WHERE latitude BETWEEN ? AND ?
+        AND longitude BETWEEN ? AND ?
+        ${typeFilter}
+    `;
+
+    const candidates = await Promise.all(boundingBoxes(lat, lon, radiusKm).map(box =>
+      new Promise((resolve, reject) => {
+        db.all(query, [box.lamin, box.lamax, box.lomin, box.lomax, ...(types || [])], (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        });
+      })
+    ));
+
+    const airports = candidates.flat()
+      .map(airport => ({
+        ...airport,
+        distance_km: calculateDistance(lat, lon, airport.latitude, airport.longitude)
+      }))
+      .filter(airport => airport.distance_km <= radiusKm)
+      .sort((a, b) => a.distance_km - b.distance_km);
+
+    return limit ? airports.slice(0, limit) : airports;
+  }
+
+  async getNearestAirport(lat, lon, { maxKm = CONTEXT_MARGIN_KM, types = MAJOR_AIRPORT_TYPES } = {}) {
+    const [nearest] = await this.getAirportsNear(lat, lon, maxKm, { types, limit: 1 });
+    return nearest ? this.formatAirport(nearest, lat, lon) : null;
+  }
+
+  // Adds nearest_airport and flight_phase to aircraft found around a search
+  // point. Airports are fetched once for the whole area rather than per
+  // aircraft.
+  async annotateAircraft(aircraft, lat, lon, radiusKm) {
+    if (aircraft.length === 0) return aircraft;
+
+    const airports = await this.getAirportsNear(lat, lon, radiusKm + CONTEXT_MARGIN_KM);
+
+    return aircraft.map(plane => {
+      let nearest = null;
+      airports.forEach(airport => {
+        const distance = calculateDistance(plane.latitude, plane.longitude, airport.latitude, airport.longitude);
+        if (distance <= CONTEXT_MARGIN_KM && (!nearest || distance < nearest.distance_km)) {
+          nearest = { ...airport, distance_km: distance };
+        }
+      });
+
+      return {
+        ...plane,
+        nearest_airport: nearest ? this.formatAirport(nearest, plane.latitude, plane.longitude) : null,
+        flight_phase: this.guessFlightPhase(plane, nearest)
+      };
+    });
+  }
+
+  // 'departing', 'arriving' or 'cruising' from altitude, vertical rate and
+  // distance to the nearest airport. Level flight low over an airport is
+  // ambiguous (holding, circuits, overflight) and returns null.
+  guessFlightPhase(plane, airport) {
+    if (plane.on_ground) return null;
+
+    const verticalRate = plane.vertical_rate;
+    const climbing = verticalRate !== null && verticalRate !== undefined && verticalRate > LEVEL_FLIGHT_RATE;
+    const descending = verticalRate !== null && verticalRate !== undefined && verticalRate < -LEVEL_FLIGHT_RATE;
+
+    const height = plane.altitude - ((airport && airport.elevation) || 0);
+    const inTerminalArea = airport &&
+      airport.distance_km <= TERMINAL_RADIUS_KM &&
+      height <= TERMINAL_HEIGHT_M;
+
+    if (climbing) return 'departing';
+    if (descending) return 'arriving';
+    if (inTerminalArea) return null;
+    if (verticalRate === null || verticalRate === undefined) {
+      return plane.altitude > TERMINAL_HEIGHT_M ? 'cruising' : null;
+    }
+    return 'cruising';
+  }
+
+  formatAirport(airport, fromLat, fromLon) {
+    const bearing = calculateBearing(fromLat, fromLon, airport.latitude, airport.longitude);
+
+    return {
+      ident: airport.ident,
+      iata: airport.iata,
+      name: airport.name,
+      type: airport.type,
+      latitude: airport.latitude,
+      longitude: airport.longitude,
+      elevation: airport.elevation,
+      municipality: airport.municipality,
+      country: airport.country,
+      distance_km: Math.round(airport.distance_km * 100) / 100,
+      bearing_deg: Math.round(bearing * 10) / 10,
+      compass_direction: compassPoint(bearing)
+    };
+  }
+}
+
+const airportService = new AirportService();
+
+module.exports = {
+  airportService,
+  MAJOR_AIRPORT_TYPES
+};
@@ -0,0 +1,392 @@
+const EventEmitter = require('events');
+const { getDatabase } = require('../database/init');
+const { regionService } = require('./regionService');
+const { calculateDistance, boundingBoxes, toRadians } = require('../utils/geo');
+
+const SQUAWK_EVENTS = {
+  7500: { type: 'hijack', severity: 'critical', description: 'Squawking 7500 (unlawful interference)' },
+  7600: { type: 'radio_failure', severity: 'warning', description: 'Squawking 7600 (radio failure)' },
+  7700: { type: 'emergency', severity: 'critical', description: 'Squawking 7700 (general emergency)' }
+};
+
+// Instant events recorded by the lifecycle service; they start and end at
+// the same moment and never show up as active alerts
+const TRANSITION_TYPES = ['takeoff', 'landing'];
+
+const EVENT_TYPES = ['hijack', 'radio_failure', 'emergency', 'ident', 'rapid_descent', 'lost_contact', ...TRANSITION_TYPES];
+
+// Lost contact is only reported for aircraft last seen this far inside the
+// polled area, so aircraft that simply fly out of it aren't flagged
+const COVERAGE_MARGIN_KM = 50;
+
+// A lost-contact event closes when the aircraft is heard again, or after
+// this long without it
+const LOST_CONTACT_EXPIRY_SECONDS = 3600;
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Flags emergency squawks, SPI/ident, rapid descents and aircraft that
+// vanish mid-flight. Runs after every ingest cycle; emits 'event' when a
+// condition starts and 'ended' when it clears. Takeoffs and landings are
+// emitted as 'transition' so alert consumers don't receive them.
+class EventService extends EventEmitter {
+  constructor() {
+    super();
+    this.rapidDescentRate = parseFloat(process.env.EVENT_RAPID_DESCENT_RATE) || 20;
+    this.lostContactSeconds = parseInt(process.env.EVENT_LOST_CONTACT_SECONDS) || 300;
+    this.lostContactMinAltitude = parseInt(process.env.EVENT_LOST_CONTACT_MIN_ALTITUDE) || 3000;
+    this.retentionDays = parseInt(process.env.EVENT_RETENTION_DAYS) || 30;
+
+    // icao24 -> Map(type -> { id, lastSeen }) for events still open
+    this.openEvents = new Map();
+    // icao24 -> latest report, used to notice aircraft going silent
+    this.tracked = new Map();
+    this.loaded = false;
+  }
+
+  async detect(aircraftData) {
+    const db = getDatabase();
+    const now = Date.now();
+    const refreshed = [];
+
+    await this.loadOpenEvents();
+
+    for (const aircraft of aircraftData) {
+      if (!aircraft.icao24) continue;
+
+      const conditions = this.detectConditions(aircraft);
+      const open = this.openEvents.get(aircraft.icao24) || new Map();
+
+      for (const condition of conditions) {
+        const existing = open.get(condition.type);
+        if (existing) {
+          existing.lastSeen = now;
+          refreshed.push(existing.id);
+        } else {
+          await this.openEvent(db, aircraft, condition, now);
+        }
+      }
+
+      const contact = this.lastContact(aircraft, now);
+      for (const [type, event] of open) {
+        const cleared = type === 'lost_contact'
+          ? contact > event.lastSeen
+          : !conditions.some(condition => condition.type === type);
+        if (cleared) {
+          await this.closeEvent(db, aircraft.icao24, type);
+        }
+      }
+
+      this.tracked.set(aircraft.icao24, { ...aircraft, contact });
+    }
+
+    if (refreshed.length > 0) {
+      await run(
+        db,
+        `UPDATE aircraft_events SET last_seen_at = CURRENT_TIMESTAMP WHERE id IN (${refreshed.map(() => '?').join(', ')})`,
+        refreshed
+      );
+    }
+
+    await this.detectLostContact(db, now);
+    await this.expireEvents(db, now);
+    await this.pruneEvents(db);
+  }
+
+  detectConditions(aircraft) {
+    const conditions = [];
+    const squawkEvent = SQUAWK_EVENTS[aircraft.squawk];
+
+    if (squawkEvent) {
+      conditions.push(squawkEvent);
+    }
+
+    if (aircraft.spi) {
+      conditions.push({ type: 'ident', severity: 'info', description: 'Special position identification (ident) active' });
+    }
+
+    if (!aircraft.on_ground && aircraft.vertical_rate !== null && aircraft.vertical_rate !== undefined &&
+        aircraft.vertical_rate <= -this.rapidDescentRate) {
+      conditions.push({
+        type: 'rapid_descent',
+        severity: 'warning',
+        description: `Descending at ${Math.round(-aircraft.vertical_rate * 196.85)} ft/min`
+      });
+    }
+
+    return conditions;
+  }
+
+  // Time of the aircraft's latest position report in ms. Some feeds keep
+  // listing an aircraft after its position has gone stale.
+  lastContact(aircraft, now) {
+    return aircraft.time_position ? aircraft.time_position * 1000 : now;
+  }
+
+  async detectLostContact(db, now) {
+    const silent = Array.from(this.tracked.values())
+      .filter(aircraft => now - aircraft.contact > this.lostContactSeconds * 1000);
+
+    if (silent.length === 0) return;
+
+    silent.forEach(aircraft => this.tracked.delete(aircraft.icao24));
+
+    const candidates = silent.filter(aircraft =>
+      !aircraft.on_ground &&
+      aircraft.altitude >= this.lostContactMinAltitude &&
+      !this.openEvents.get(aircraft.icao24)?.has('lost_contact')
+    );
+
+    if (candidates.length === 0) return;
+
+    const boxes = await regionService.getBoundingBoxes();
+
+    for (const aircraft of candidates) {
+      if (!this.insideCoverage(aircraft.latitude, aircraft.longitude, boxes)) continue;
+
+      const minutes = Math.round((now - aircraft.contact) / 60000);
+      await this.openEvent(db, aircraft, {
+        type: 'lost_contact',
+        severity: 'warning',
+        description: `No position reports for ${minutes} min while airborne at ${Math.round(aircraft.altitude)} m`
+      }, aircraft.contact);
+    }
+  }
+
+  insideCoverage(lat, lon, boxes) {
+    const latMargin = COVERAGE_MARGIN_KM / 111.2;
+    const lonMargin = latMargin / Math.max(Math.cos(toRadians(lat)), 0.01);
+
+    return boxes.some(box =>
+      lat >= box.lamin + latMargin && lat <= box.lamax - latMargin &&
+      lon >= box.lomin + lonMargin && lon <= box.lomax - lonMargin
+    );
+  }
+
+  // Close conditions on aircraft we have stopped hearing from
+  async expireEvents(db, now) {
+    for (const [icao24, open] of this.openEvents) {
+      for (const [type, event] of open) {
+        const maxAge = type === 'lost_contact' ? LOST_CONTACT_EXPIRY_SECONDS : this.lostContactSeconds;
+        if (now - event.lastSeen > maxAge * 1000) {
+          await this.closeEvent(db, icao24, type);
+        }
+      }
+    }
+  }
+
+  // lastSeen is when the condition was last observed; for lost contact it
+  // is the aircraft's final position report
+  async openEvent(db, aircraft, condition, lastSeen) {
+    const callsign = aircraft.callsign ? aircraft.callsign.trim() : null;
+    const result = await run(db, `
+      INSERT INTO aircraft_events (
+        icao24, callsign, type, severity, description, squawk,
+        latitude, longitude, altitude, vertical_rate, last_seen_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'))
+    `, [
+      aircraft.icao24,
+      callsign,
+      condition.type,
+      condition.severity,
+      condition.description,
+      aircraft.squawk || null,
+      aircraft.latitude,
+      aircraft.longitude,
+      aircraft.altitude,
+      aircraft.vertical_rate,
+      Math.floor(lastSeen / 1000)
+    ]);
+
+    if (!this.openEvents.has(aircraft.icao24)) {
+      this.openEvents.set(aircraft.icao24, new Map());
+    }
+    this.openEvents.get(aircraft.icao24).set(condition.type, { id: result.lastID, lastSeen });
+
+    const event = {
+      id: result.lastID,
+      icao24: aircraft.icao24,
+      callsign,
+      type: condition.type,
+      severity: condition.severity,
+      description: condition.description,
+      squawk: aircraft.squawk || null,
+      latitude: aircraft.latitude,
+      longitude: aircraft.longitude,
+      altitude: aircraft.altitude,
+      vertical_rate: aircraft.vertical_rate,
+      started_at: new Date().toISOString()
+    };
+
+    console.log(`🚨 ${event.type} ${event.callsign || event.icao24}: ${event.description}`);
+    this.emit('event', event);
+  }
+
+  async closeEvent(db, icao24, type) {
+    const open = this.openEvents.get(icao24);
+    const event = open.get(type);
+
+    await run(db, 'UPDATE aircraft_events SET ended_at = CURRENT_TIMESTAMP WHERE id = ?', [event.id]);
+
+    open.delete(type);
+    if (open.size === 0) {
+      this.openEvents.delete(icao24);
+    }
+
+    this.emit('ended', { id: event.id, icao24, type, ended_at: new Date().toISOString() });
+  }
+
+  // Store a takeoff or landing, dated to the aircraft's position report
+  async recordTransition(aircraft, type, description) {
+    const callsign = aircraft.callsign ? aircraft.callsign.trim() : null;
+    const at = aircraft.time_position || Math.floor(Date.now() / 1000);
+
+    const result = await run(getDatabase(), `
+      INSERT INTO aircraft_events (
+        icao24, callsign, type, severity, description, squawk,
+        latitude, longitude, altitude, vertical_rate, started_at, last_seen_at, ended_at
+      ) VALUES (?, ?, ?, 'info', ?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'), datetime(?, 'unixepoch'), datetime(?, 'unixepoch'))
+    `, [
+      aircraft.icao24,
+      callsign,
+      type,
+      description,
+      aircraft.squawk || null,
+      aircraft.latitude,
+      aircraft.longitude,
+      aircraft.altitude,
+      aircraft.vertical_rate,
+      at, at, at
+    ]);
+
+    const event = {
+      id: result.lastID,
+      icao24: aircraft.icao24,
+      callsign,
+      type,
+      severity: 'info',
+      description,
+      latitude: aircraft.latitude,
+      longitude: aircraft.longitude,
+      started_at: new Date(at * 1000).toISOString()
+    };
+
+    console.log(`${type === 'landing' ? '🛬' : '🛫'} ${type} ${callsign || aircraft.icao24}: ${description}`);
+    this.emit('transition', event);
+    return event;
+  }
+
+  // Pick up events left open by a previous run
+  async loadOpenEvents() {
+    if (this.loaded) return;
+
+    const rows = await all(getDatabase(), `
+      SELECT id, icao24, type, CAST(strftime('%s', last_seen_at) AS INTEGER) AS last_seen
+      FROM aircraft_events
+      WHERE ended_at IS NULL
+    `);
+
+    rows.forEach(row => {
+      if (!this.openEvents.has(row.icao24)) {
+        this.openEvents.set(row.icao24, new Map());
+      }
+      this.openEvents.get(row.icao24).set(row.type, { id: row.id, lastSeen: row.last_seen * 1000 });
+    });
+
+    this.loaded = true;
+  }
+
+  async pruneEvents(db) {
+    await run(
+      db,
+      'DELETE FROM aircraft_events WHERE ended_at IS NOT NULL AND started_at < datetime(\'now\', ?)',
+      [`-${this.retentionDays} days`]
+    );
+  }
+
+  // Types of the conditions currently open for an aircraft
+  getActiveTypes(icao24) {
+    const open = this.openEvents.get(icao24);
+    return open ? Array.from(open.keys()) : [];
+  }
+
+  // since/until are unix timestamps in seconds; near is
+  // { latitude, longitude, radiusKm }
+  async getEvents({ active = false, types = null, icao24 = null, since = null, until = null, near = null, limit = 100 } = {}) {
+    const db = getDatabase();
+    const conditions = [];
+    const params = [];
+
+    if (active) {
+      conditions.push('ended_at IS NULL');
+    }
+    if (types && types.length > 0) {
+      conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    }
+    if (icao24) {
+      conditions.push('icao24 = ?');
+      params.push(icao24);
+    }
+    if (since !== null) {
+      conditions.push('started_at >= datetime(?, \'unixepoch\')');
+      params.push(since);
+    }
+    if (until !== null) {
+      conditions.push('started_at <= datetime(?, \'unixepoch\')');
+      params.push(until);
+    }
+    if (near) {
+      const boxes = boundingBoxes(near.latitude, near.longitude, near.radiusKm);
+      conditions.push(`(${boxes.map(() => '(latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?)').join(' OR ')})`);
+      boxes.forEach(box => params.push(box.lamin, box.lamax, box.lomin, box.lomax));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `SELECT * FROM aircraft_events ${where} ORDER BY started_at DESC, id DESC`;
+
+    if (!near) {
+      return all(db, `${query} LIMIT ?`, [...params, limit]);
+    }
+
+    // The boxes over-cover the circle, so trim before applying the limit
+    const rows = await all(db, query, params);
+    return rows
+      .map(row => ({
+        ...row,
+        distance_km: Math.round(calculateDistance(near.latitude, near.longitude, row.latitude, row.longitude) * 100) / 100
+      }))
+      .filter(row => row.distance_km <= near.radiusKm)
+      .slice(0, limit);
+  }
+}
+
+const eventService = new EventService();
+
+module.exports = {
+  eventService,
+  EVENT_TYPES,
+  TRANSITION_TYPES
+};
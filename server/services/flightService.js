@@ -0,0 +1,388 @@
+const { getDatabase } = require('../database/init');
+const { airportService } = require('./airportService');
+const { calculateDistance } = require('../utils/geo');
+
+// Airports this close to either end of a flight are recorded as its
+// departure or arrival
+const AIRPORT_MATCH_KM = 10;
+
+// Flights first seen or last seen above this (meters) started or ended out
+// of coverage rather than at an airport, so no airport is recorded
+const AIRPORT_MAX_ALTITUDE = 1500;
+
+const FLIGHT_COLUMNS = `
+  f.*,
+  CAST(strftime('%s', f.started_at) AS INTEGER) AS started_ts,
+  CAST(strftime('%s', f.last_seen_at) AS INTEGER) AS last_seen_ts,
+  dep.iata AS departure_iata, dep.name AS departure_name,
+  arr.iata AS arrival_iata, arr.name AS arrival_name
+`;
+
+const FLIGHT_JOINS = `
+  LEFT JOIN airports dep ON dep.ident = f.departure_airport
+  LEFT JOIN airports arr ON arr.ident = f.arrival_airport
+`;
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function isoTime(seconds) {
+  return seconds === null ? null : new Date(seconds * 1000).toISOString();
+}
+
+// Segments each aircraft's reports into flights. A flight starts at a
+// takeoff, or at the first airborne report when the aircraft wasn't seen on
+// the ground, and ends at a landing or after FLIGHT_TIMEOUT_SECONDS without
+// a report. Runs after every ingest cycle.
+class FlightService {
+  constructor() {
+    this.timeoutSeconds = parseInt(process.env.FLIGHT_TIMEOUT_SECONDS) || 900;
+    this.retentionDays = parseInt(process.env.FLIGHT_RETENTION_DAYS) || 30;
+
+    // icao24 -> in-progress flight, see loadOpenFlights for the shape
+    this.openFlights = new Map();
+    // icao24 -> { onGround, at } from the latest report, to tell takeoffs
+    // from aircraft that come into coverage already airborne
+    this.lastReports = new Map();
+    this.loaded = false;
+  }
+
+  async track(aircraftData) {
+    const db = getDatabase();
+    const now = Math.floor(Date.now() / 1000);
+    const advanced = new Set();
+
+    await this.loadOpenFlights();
+
+    for (const aircraft of aircraftData) {
+      if (!aircraft.icao24 || !aircraft.latitude || !aircraft.longitude) continue;
+
+      const at = aircraft.time_position || now;
+      const onGround = Boolean(aircraft.on_ground);
+      const previous = this.lastReports.get(aircraft.icao24);
+      let flight = this.openFlights.get(aircraft.icao24);
+
+      // Feeds repeat the last position until a new one arrives
+      if (previous && at <= previous.at) continue;
+      this.lastReports.set(aircraft.icao24, { onGround, at });
+
+      if (flight && at - flight.lastSeen > this.timeoutSeconds) {
+        await this.endFlight(db, flight, 'timeout');
+        flight = null;
+      }
+
+      if (onGround) {
+        if (flight) {
+          this.advance(flight, aircraft, at);
+          await this.endFlight(db, flight, 'landing');
+        }
+        continue;
+      }
+
+      if (flight) {
+        this.advance(flight, aircraft, at);
+        advanced.add(flight);
+      } else {
+        await this.startFlight(db, aircraft, at, previous && previous.onGround ? 'takeoff' : 'first_contact');
+      }
+    }
+
+    await this.saveProgress(db, Array.from(advanced));
+    await this.expireFlights(db, now);
+    await this.pruneFlights(db);
+  }
+
+  async startFlight(db, aircraft, at, reason) {
+    const departure = reason === 'takeoff' || (aircraft.altitude !== null && aircraft.altitude < AIRPORT_MAX_ALTITUDE)
+      ? await this.nearestAirportIdent(aircraft.latitude, aircraft.longitude)
+      : null;
+    const altitude = aircraft.altitude ?? null;
+
+    const result = await run(db, `
+      INSERT INTO flights (
+        icao24, callsign, start_reason, started_at, last_seen_at,
+        start_latitude, start_longitude, end_latitude, end_longitude,
+        last_altitude, max_altitude, departure_airport
+      ) VALUES (?, ?, ?, datetime(?, 'unixepoch'), datetime(?, 'unixepoch'), ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      aircraft.icao24,
+      aircraft.callsign ? aircraft.callsign.trim() || null : null,
+      reason,
+      at, at,
+      aircraft.latitude, aircraft.longitude,
+      aircraft.latitude, aircraft.longitude,
+      altitude, altitude,
+      departure
+    ]);
+
+    this.openFlights.set(aircraft.icao24, {
+      id: result.lastID,
+      icao24: aircraft.icao24,
+      callsign: aircraft.callsign ? aircraft.callsign.trim() || null : null,
+      lastSeen: at,
+      latitude: aircraft.latitude,
+      longitude: aircraft.longitude,
+      altitude,
+      maxAltitude: altitude,
+      distanceKm: 0
+    });
+  }
+
+  // Fold a new report into an open flight (in memory only)
+  advance(flight, aircraft, at) {
+    flight.distanceKm += calculateDistance(flight.latitude, flight.longitude, aircraft.latitude, aircraft.longitude);
+    flight.lastSeen = at;
+    flight.latitude = aircraft.latitude;
+    flight.longitude = aircraft.longitude;
+    flight.altitude = aircraft.altitude ?? flight.altitude;
+    if (flight.altitude !== null && (flight.maxAltitude === null || flight.altitude > flight.maxAltitude)) {
+      flight.maxAltitude = flight.altitude;
+    }
+    if (!flight.callsign && aircraft.callsign && aircraft.callsign.trim()) {
+      flight.callsign = aircraft.callsign.trim();
+    }
+  }
+
+  async saveProgress(db, flights) {
+    if (flights.length === 0) return;
+
+    await new Promise((resolve, reject) => {
+      db.serialize(() => {
+        const stmt = db.prepare(`
+          UPDATE flights SET
+            callsign = ?,
+            last_seen_at = datetime(?, 'unixepoch'),
+            end_latitude = ?,
+            end_longitude = ?,
+            last_altitude = ?,
+            max_altitude = ?,
+            distance_km = ?
+          WHERE id = ?
+        `);
+
+        flights.forEach(flight => stmt.run(this.progressParams(flight)));
+
+        stmt.finalize((err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+
+  progressParams(flight) {
+    return [
+      flight.callsign,
+      flight.lastSeen,
+      flight.latitude,
+      flight.longitude,
+      flight.altitude,
+      flight.maxAltitude,
+      Math.round(flight.distanceKm * 100) / 100,
+      flight.id
+    ];
+  }
+
+  // A flight that times out low down most likely landed out of coverage,
+  // so it still gets the nearest airport
+  async endFlight(db, flight, reason) {
+    const arrival = reason === 'landing' || (flight.altitude !== null && flight.altitude < AIRPORT_MAX_ALTITUDE)
+      ? await this.nearestAirportIdent(flight.latitude, flight.longitude)
+      : null;
+
+    const [callsign, lastSeen, ...progress] = this.progressParams(flight);
+    await run(db, `
+      UPDATE flights SET
+        callsign = ?,
+        last_seen_at = datetime(?, 'unixepoch'),
+        ended_at = datetime(?, 'unixepoch'),
+        end_reason = ?,
+        arrival_airport = ?,
+        end_latitude = ?,
+        end_longitude = ?,
+        last_altitude = ?,
+        max_altitude = ?,
+        distance_km = ?
+      WHERE id = ?
+    `, [callsign, lastSeen, lastSeen, reason, arrival, ...progress]);
+
+    this.openFlights.delete(flight.icao24);
+  }
+
+  // Close flights whose aircraft stopped reporting, and forget ground
+  // states too old to mark a takeoff
+  async expireFlights(db, now) {
+    for (const flight of Array.from(this.openFlights.values())) {
+      if (now - flight.lastSeen > this.timeoutSeconds) {
+        await this.endFlight(db, flight, 'timeout');
+      }
+    }
+
+    for (const [icao24, report] of this.lastReports) {
+      if (now - report.at > this.timeoutSeconds) this.lastReports.delete(icao24);
+    }
+  }
+
+  async pruneFlights(db) {
+    await run(
+      db,
+      'DELETE FROM flights WHERE ended_at IS NOT NULL AND started_at < datetime(\'now\', ?)',
+      [`-${this.retentionDays} days`]
+    );
+  }
+
+  async nearestAirportIdent(lat, lon) {
+    const airport = await airportService.getNearestAirport(lat, lon, { maxKm: AIRPORT_MATCH_KM, types: null });
+    return airport ? airport.ident : null;
+  }
+
+  // Pick up flights left open by a previous run
+  async loadOpenFlights() {
+    if (this.loaded) return;
+
+    const rows = await all(getDatabase(), `
+      SELECT id, icao24, callsign, end_latitude, end_longitude, last_altitude, max_altitude, distance_km,
+             CAST(strftime('%s', last_seen_at) AS INTEGER) AS last_seen
+      FROM flights
+      WHERE ended_at IS NULL
+    `);
+
+    rows.forEach(row => {
+      this.openFlights.set(row.icao24, {
+        id: row.id,
+        icao24: row.icao24,
+        callsign: row.callsign,
+        lastSeen: row.last_seen,
+        latitude: row.end_latitude,
+        longitude: row.end_longitude,
+        altitude: row.last_altitude,
+        maxAltitude: row.max_altitude,
+        distanceKm: row.distance_km
+      });
+    });
+
+    this.loaded = true;
+  }
+
+  // Flights newest first. since/until are unix timestamps in seconds and
+  // select flights seen during that window.
+  async getFlights({ icao24 = null, since = null, until = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (icao24) {
+      conditions.push('f.icao24 = ?');
+      params.push(icao24);
+    }
+    if (since !== null) {
+      conditions.push('f.last_seen_at >= datetime(?, \'unixepoch\')');
+      params.push(since);
+    }
+    if (until !== null) {
+      conditions.push('f.started_at <= datetime(?, \'unixepoch\')');
+      params.push(until);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await all(getDatabase(), `
+      SELECT ${FLIGHT_COLUMNS}
+      FROM flights f
+      ${FLIGHT_JOINS}
+      ${where}
+      ORDER BY f.started_at DESC, f.id DESC
+      LIMIT ?
+    `, [...params, limit]);
+
+    return rows.map(row => this.formatFlight(row));
+  }
+
+  // A single flight with its recorded track, as far as position history
+  // still covers it (HISTORY_RETENTION_HOURS)
+  async getFlight(id) {
+    const db = getDatabase();
+    const [row] = await all(db, `
+      SELECT ${FLIGHT_COLUMNS}
+      FROM flights f
+      ${FLIGHT_JOINS}
+      WHERE f.id = ?
+    `, [id]);
+
+    if (!row) return null;
+
+    const track = await all(db, `
+      SELECT latitude, longitude, altitude, velocity, true_track, on_ground, timestamp
+      FROM aircraft_history
+      WHERE icao24 = ? AND timestamp BETWEEN ? AND ?
+      ORDER BY timestamp
+    `, [row.icao24, row.started_at, row.last_seen_at]);
+
+    return {
+      ...this.formatFlight(row),
+      track: track.map(sample => ({ ...sample, on_ground: Boolean(sample.on_ground) }))
+    };
+  }
+
+  formatFlight(row) {
+    const ended = row.ended_at !== null;
+
+    return {
+      id: row.id,
+      icao24: row.icao24,
+      callsign: row.callsign,
+      active: !ended,
+      start_reason: row.start_reason,
+      end_reason: row.end_reason,
+      first_seen: isoTime(row.started_ts),
+      last_seen: isoTime(row.last_seen_ts),
+      duration_s: row.last_seen_ts - row.started_ts,
+      max_altitude: row.max_altitude,
+      distance_km: row.distance_km,
+      departure: {
+        airport: row.departure_airport
+          ? { ident: row.departure_airport, iata: row.departure_iata || null, name: row.departure_name || null }
+          : null,
+        latitude: row.start_latitude,
+        longitude: row.start_longitude
+      },
+      arrival: ended
+        ? {
+          airport: row.arrival_airport
+            ? { ident: row.arrival_airport, iata: row.arrival_iata || null, name: row.arrival_name || null }
+            : null,
+          latitude: row.end_latitude,
+          longitude: row.end_longitude
+        }
+        : null
+    };
+  }
+}
+
+const flightService = new FlightService();
+
+module.exports = {
+  flightService
+};
@@ -0,0 +1,180 @@
+const { getDatabase } = require('../database/init');
+const { calculateDistance, boundingBoxes } = require('../utils/geo');
+
+// Places further than this from the point are not used by the offline
+// resolver
+const OFFLINE_MAX_KM = 50;
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function countryName(code) {
+  try {
+    return code ? countryNames.of(code) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reverse geocoding with a SQLite cache. In 'nominatim' mode lookups go to
+// Nominatim and fall back to the imported cities table; in 'offline' mode
+// only the cities table is used, so nothing leaves the network.
+class GeocodeService {
+  constructor() {
+    this.mode = process.env.GEOCODER === 'offline' ? 'offline' : 'nominatim';
+    this.nominatimUrl = (process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+    this.timeout = parseInt(process.env.GEOCODE_TIMEOUT) || 5000;
+    // Decimal places of the cache key; 2 is about 1 km
+    this.cachePrecision = parseInt(process.env.GEOCODE_CACHE_PRECISION) || 2;
+    this.cacheTtlDays = parseInt(process.env.GEOCODE_CACHE_TTL_DAYS) || 30;
+    this.lastPrune = 0;
+  }
+
+  // Resolves to { address, city, state, country, country_code, resolver,
+  // cached }. resolver is 'nominatim', 'offline' or 'none' when nothing
+  // matched and the address is just the coordinates.
+  async reverse(lat, lon) {
+    const cell = `${lat.toFixed(this.cachePrecision)},${lon.toFixed(this.cachePrecision)}`;
+
+    if (this.mode === 'nominatim') {
+      const cached = await this.getCached(cell);
+      if (cached) return cached;
+
+      const result = await this.lookupNominatim(lat, lon);
+      if (result) {
+        await this.store(cell, 'nominatim', result);
+        return { ...result, resolver: 'nominatim', cached: false };
+      }
+    }
+
+    // Offline answers are cheap and may improve after a re-import, so they
+    // are not cached
+    const result = await this.lookupOffline(lat, lon);
+    if (result) {
+      return { ...result, resolver: 'offline', cached: false };
+    }
+
+    return {
+      address: `Lat: ${lat.toFixed(6)}, Lon: ${lon.toFixed(6)}`,
+      city: null,
+      state: null,
+      country: null,
+      country_code: null,
+      resolver: 'none',
+      cached: false
+    };
+  }
+
+  async getCached(cell) {
+    const [row] = await all(getDatabase(), `
+      SELECT resolver, result FROM geocode_cache
+      WHERE cell = ? AND created_at > strftime('%s', 'now') - ?
+    `, [cell, this.cacheTtlDays * 86400]);
+
+    return row ? { ...JSON.parse(row.result), resolver: row.resolver, cached: true } : null;
+  }
+
+  async store(cell, resolver, result) {
+    const db = getDatabase();
+    await run(db, `
+      INSERT OR REPLACE INTO geocode_cache (cell, resolver, result, created_at)
+      VALUES (?, ?, ?, strftime('%s', 'now'))
+    `, [cell, resolver, JSON.stringify(result)]);
+
+    if (Date.now() - this.lastPrune > 3600 * 1000) {
+      this.lastPrune = Date.now();
+      await run(db, 'DELETE FROM geocode_cache WHERE created_at <= strftime(\'%s\', \'now\') - ?', [this.cacheTtlDays * 86400]);
+    }
+  }
+
+  // null when Nominatim is unreachable, errors or has no address for the
+  // point (e.g. open sea)
+  async lookupNominatim(lat, lon) {
+    try {
+      const response = await fetch(
+        `${this.nominatimUrl}/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10&addressdetails=1`,
+        {
+          headers: {
+            'User-Agent': 'AirplaneTracker/1.0'
+          },
+          signal: AbortSignal.timeout(this.timeout)
+        }
+      );
+
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      if (!data.display_name) return null;
+
+      return {
+        address: data.display_name,
+        city: data.address?.city || data.address?.town || data.address?.village || null,
+        state: data.address?.state || null,
+        country: data.address?.country || null,
+        country_code: data.address?.country_code?.toUpperCase() || null
+      };
+    } catch (error) {
+      console.error('⚠️ Nominatim reverse geocoding failed:', error.message);
+      return null;
+    }
+  }
+
+  // Nearest imported city within OFFLINE_MAX_KM
+  async lookupOffline(lat, lon) {
+    const db = getDatabase();
+    const candidates = await Promise.all(boundingBoxes(lat, lon, OFFLINE_MAX_KM).map(box => all(db, `
+      SELECT name, latitude, longitude, country_code, state
+      FROM cities
+      WHERE latitude BETWEEN ? AND ?
+        AND longitude BETWEEN ? AND ?
+    `, [box.lamin, box.lamax, box.lomin, box.lomax])));
+
+    let nearest = null;
+    candidates.flat().forEach(city => {
+      const distance = calculateDistance(lat, lon, city.latitude, city.longitude);
+      if (distance <= OFFLINE_MAX_KM && (!nearest || distance < nearest.distance)) {
+        nearest = { ...city, distance };
+      }
+    });
+
+    if (!nearest) return null;
+
+    const country = countryName(nearest.country_code);
+    return {
+      address: [nearest.name, nearest.state, country].filter(Boolean).join(', '),
+      city: nearest.name,
+      state: nearest.state,
+      country,
+      country_code: nearest.country_code
+    };
+  }
+}
+
+const geocodeService = new GeocodeService();
+
+module.exports = {
+  geocodeService
+};
@@ -0,0 +1,129 @@
+const { getDatabase } = require('../database/init');
+const { hasPosition } = require('../utils/geo');
+
+class HistoryService {
+  constructor() {
+    this.retentionHours = parseInt(process.env.HISTORY_RETENTION_HOURS) || 24;
+    // icao24 -> { key, at } of the last recorded sample, at in ms
+    this.lastSamples = new Map();
+  }
+
+  // Append one position sample per aircraft, skipping aircraft whose
+  // position report hasn't changed since the previous poll
+  async recordSamples(aircraftData) {
+    const db = getDatabase();
+    const samples = aircraftData.filter(aircraft =>
+      aircraft.icao24 && hasPosition(aircraft) && this.hasChanged(aircraft)
+    );
+
+    if (samples.length === 0) return 0;
+
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        const stmt = db.prepare(`
+          INSERT INTO aircraft_history (
+            icao24, callsign, latitude, longitude, altitude, geo_altitude,
+            velocity, true_track, vertical_rate, on_ground, timestamp
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'))
+        `);
+
+        samples.forEach(aircraft => {
+          stmt.run([
+            aircraft.icao24,
+            aircraft.callsign,
+            aircraft.latitude,
+            aircraft.longitude,
+            aircraft.altitude,
+            aircraft.geo_altitude,
+            aircraft.velocity,
+            aircraft.true_track,
+            aircraft.vertical_rate,
+            aircraft.on_ground,
+            aircraft.time_position || Math.floor(Date.now() / 1000)
+          ]);
+
+          this.lastSamples.set(aircraft.icao24, { key: this.sampleKey(aircraft), at: Date.now() });
+        });
+
+        stmt.finalize((err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(samples.length);
+          }
+        });
+      });
+    });
+  }
+
+  hasChanged(aircraft) {
+    return this.lastSamples.get(aircraft.icao24)?.key !== this.sampleKey(aircraft);
+  }
+
+  sampleKey(aircraft) {
+    return [
+      aircraft.time_position,
+      aircraft.latitude,
+      aircraft.longitude,
+      aircraft.altitude,
+      aircraft.on_ground
+    ].join('|');
+  }
+
+  // Deletes samples older than the retention window. Aircraft whose report
+  // hasn't changed for sampleTtlSeconds are forgotten by the deduplication,
+  // so their next report is always recorded.
+  async pruneHistory(sampleTtlSeconds) {
+    const db = getDatabase();
+
+    const cutoff = Date.now() - sampleTtlSeconds * 1000;
+    for (const [icao24, sample] of this.lastSamples) {
+      if (sample.at < cutoff) this.lastSamples.delete(icao24);
+    }
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM aircraft_history WHERE timestamp < datetime(\'now\', ?)',
+        [`-${this.retentionHours} hours`],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  // since/until are unix timestamps in seconds
+  async getTrack(icao24, since, until) {
+    const db = getDatabase();
+
+    const query = `
+      SELECT latitude, longitude, altitude, geo_altitude, velocity,
+             true_track, vertical_rate, on_ground, callsign, timestamp
+      FROM aircraft_history
+      WHERE icao24 = ?
+        AND timestamp >= datetime(?, 'unixepoch')
+        AND timestamp <= datetime(?, 'unixepoch')
+      ORDER BY timestamp ASC
+    `;
+
+    return new Promise((resolve, reject) => {
+      db.all(query, [icao24, since, until], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+}
+
+const historyService = new HistoryService();
+
+module.exports = {
+  historyService
+};
@@ -0,0 +1,75 @@
+const { getDatabase } = require('../database/init');
+const { readCsv } = require('../utils/csv');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+// Loads reference datasets (aircraft, airlines, airports, ...) from CSV
+// files into their SQLite tables
+class ImportService {
+  constructor() {
+    this.batchSize = 5000;
+  }
+
+  // mapRow turns a CSV row (keyed by lower-cased header) into an array of
+  // column values, or null to skip the row. With replace set the table is
+  // emptied first so removed entries disappear. csv is passed to readCsv.
+  async importCsv(filePath, { table, columns, mapRow, replace = false, csv = {} }) {
+    const db = getDatabase();
+    const placeholders = columns.map(() => '?').join(', ');
+    const insert = `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+
+    let imported = 0;
+    let skipped = 0;
+
+    await run(db, 'BEGIN TRANSACTION');
+    try {
+      if (replace) {
+        await run(db, `DELETE FROM ${table}`);
+      }
+
+      let batch = [];
+      for await (const row of readCsv(filePath, csv)) {
+        const values = mapRow(row);
+        if (!values) {
+          skipped++;
+          continue;
+        }
+
+        batch.push(run(db, insert, values));
+        imported++;
+
+        // Let the queue drain so large files don't pile up in memory
+        if (batch.length >= this.batchSize) {
+          await Promise.all(batch);
+          batch = [];
+          console.log(`📥 ${table}: ${imported} rows imported...`);
+        }
+      }
+
+      await Promise.all(batch);
+      await run(db, 'COMMIT');
+    } catch (error) {
+      await run(db, 'ROLLBACK').catch(() => {});
+      throw error;
+    }
+
+    console.log(`✅ Imported ${imported} rows into ${table} (${skipped} skipped)`);
+    return { imported, skipped };
+  }
+}
+
+const importService = new ImportService();
+
+module.exports = {
+  importService
+};
@@ -0,0 +1,127 @@
+const { getDatabase } = require('../database/init');
+const { eventService } = require('./eventService');
+const { airportService } = require('./airportService');
+const { hasPosition } = require('../utils/geo');
+
+// Airports this close to where an aircraft took off or landed are named in
+// the event
+const AIRPORT_MATCH_KM = 10;
+
+// on_ground flickers on some feeds; transitions this soon after the
+// previous one for the same aircraft are ignored (seconds)
+const TRANSITION_DEBOUNCE_SECONDS = 120;
+
+// SQLite bound-parameter limit headroom for IN (...) lookups
+const LOOKUP_CHUNK = 500;
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Tracks aircraft from first report to expiry: records takeoffs and
+// landings from on_ground changes and removes aircraft whose last position
+// report is older than AIRCRAFT_STALE_SECONDS
+class LifecycleService {
+  constructor() {
+    this.staleSeconds = parseInt(process.env.AIRCRAFT_STALE_SECONDS) || 300;
+    // icao24 -> ms of the last recorded transition
+    this.lastTransition = new Map();
+  }
+
+  // Compares each report with the stored row, so this must run before the
+  // batch is written
+  async recordTransitions(aircraftData) {
+    const reported = aircraftData.filter(aircraft =>
+      aircraft.icao24 && hasPosition(aircraft) &&
+      aircraft.on_ground !== null && aircraft.on_ground !== undefined
+    );
+    if (reported.length === 0) return [];
+
+    const db = getDatabase();
+    const previous = new Map();
+    for (let i = 0; i < reported.length; i += LOOKUP_CHUNK) {
+      const chunk = reported.slice(i, i + LOOKUP_CHUNK).map(aircraft => aircraft.icao24);
+      const rows = await all(db, `
+        SELECT icao24, on_ground FROM aircraft WHERE icao24 IN (${chunk.map(() => '?').join(', ')})
+      `, chunk);
+      rows.forEach(row => previous.set(row.icao24, Boolean(row.on_ground)));
+    }
+
+    const now = Date.now();
+    const events = [];
+
+    for (const aircraft of reported) {
+      const wasOnGround = previous.get(aircraft.icao24);
+      const onGround = Boolean(aircraft.on_ground);
+      if (wasOnGround === undefined || wasOnGround === onGround) continue;
+
+      const last = this.lastTransition.get(aircraft.icao24);
+      if (last && now - last < TRANSITION_DEBOUNCE_SECONDS * 1000) continue;
+      this.lastTransition.set(aircraft.icao24, now);
+
+      const type = onGround ? 'landing' : 'takeoff';
+      const airport = await airportService.getNearestAirport(aircraft.latitude, aircraft.longitude, {
+        maxKm: AIRPORT_MATCH_KM,
+        types: null
+      });
+
+      const action = onGround ? 'Landed' : 'Took off';
+      const place = airport ? ` ${onGround ? 'at' : 'from'} ${airport.name} (${airport.iata || airport.ident})` : '';
+      events.push(await eventService.recordTransition(aircraft, type, `${action}${place}`));
+    }
+
+    return events;
+  }
+
+  // Delete aircraft not heard from within staleSeconds. Rows without a
+  // position time fall back to when they were last written.
+  async expireStale() {
+    const result = await run(getDatabase(), `
+      DELETE FROM aircraft
+      WHERE COALESCE(time_position, CAST(strftime('%s', last_updated) AS INTEGER)) < CAST(strftime('%s', 'now') AS INTEGER) - ?
+    `, [this.staleSeconds]);
+
+    for (const [icao24, at] of this.lastTransition) {
+      if (Date.now() - at > TRANSITION_DEBOUNCE_SECONDS * 1000) this.lastTransition.delete(icao24);
+    }
+
+    if (result.changes > 0) {
+      console.log(`🧹 Expired ${result.changes} stale aircraft`);
+    }
+    return result.changes;
+  }
+
+  // Seconds since the aircraft's last position report
+  getSeenAge(aircraft, now = Date.now()) {
+    const seenAt = aircraft.time_position
+      ? aircraft.time_position * 1000
+      : Date.parse(`${aircraft.last_updated}Z`);
+    return Number.isNaN(seenAt) ? null : Math.max(0, Math.round((now - seenAt) / 1000));
+  }
+}
+
+const lifecycleService = new LifecycleService();
+
+module.exports = {
+  lifecycleService
+};
@@ -0,0 +1,102 @@
+const { aircraftService } = require('./aircraftService');
+const { calculateDistance, destinationPoint } = require('../utils/geo');
+const { observerView } = require('../utils/visibility');
+
+// Fastest ground speed assumed when deciding which aircraft could reach
+// the observer within the look-ahead window (m/s, roughly Mach 0.9 at cruise)
+const MAX_GROUND_SPEED_MS = 280;
+const SAMPLE_STEP_SECONDS = 15;
+
+class PredictionService {
+  constructor() {
+    this.maxLookaheadMinutes = parseInt(process.env.PREDICTION_MAX_MINUTES) || 60;
+  }
+
+  // Dead-reckon an aircraft along its current great-circle track, holding
+  // ground speed and vertical rate constant
+  predictPosition(aircraft, seconds) {
+    const distanceKm = (aircraft.velocity * seconds) / 1000;
+    const position = destinationPoint(aircraft.latitude, aircraft.longitude, aircraft.true_track, distanceKm);
+    const altitude = aircraft.altitude !== null && aircraft.altitude !== undefined
+      ? Math.max(0, aircraft.altitude + (aircraft.vertical_rate || 0) * seconds)
+      : null;
+    const geoAltitude = aircraft.geo_altitude !== null && aircraft.geo_altitude !== undefined
+      ? Math.max(0, aircraft.geo_altitude + (aircraft.vertical_rate || 0) * seconds)
+      : null;
+
+    return { ...position, altitude, geo_altitude: geoAltitude };
+  }
+
+  // Closest point of approach to the observer within the next horizonSeconds:
+  // coarse sampling along the predicted path, then a ternary search around
+  // the best sample
+  closestApproach(aircraft, observer, horizonSeconds) {
+    const distanceAt = (t) => {
+      const position = this.predictPosition(aircraft, t);
+      return calculateDistance(observer.latitude, observer.longitude, position.latitude, position.longitude);
+    };
+
+    let bestTime = 0;
+    let bestDistance = distanceAt(0);
+    for (let t = SAMPLE_STEP_SECONDS; t <= horizonSeconds; t += SAMPLE_STEP_SECONDS) {
+      const distance = distanceAt(t);
+      if (distance < bestDistance) {
+        bestTime = t;
+        bestDistance = distance;
+      }
+    }
+
+    let low = Math.max(0, bestTime - SAMPLE_STEP_SECONDS);
+    let high = Math.min(horizonSeconds, bestTime + SAMPLE_STEP_SECONDS);
+    for (let i = 0; i < 30; i++) {
+      const m1 = low + (high - low) / 3;
+      const m2 = high - (high - low) / 3;
+      if (distanceAt(m1) < distanceAt(m2)) {
+        high = m2;
+      } else {
+        low = m1;
+      }
+    }
+
+    const time = (low + high) / 2;
+    const position = this.predictPosition(aircraft, time);
+
+    return {
+      eta_seconds: time,
+      min_distance_km: distanceAt(time),
+      position
+    };
+  }
+
+  async getApproachingAircraft(lat, lon, { withinMinutes = 15, withinKm = 10, observerAltitude = 0 } = {}) {
+    const horizonSeconds = Math.min(withinMinutes, this.maxLookaheadMinutes) * 60;
+    const searchRadiusKm = (MAX_GROUND_SPEED_MS * horizonSeconds) / 1000 + withinKm;
+    const observer = { latitude: lat, longitude: lon, altitude: observerAltitude };
+
+    const candidates = await aircraftService.getAircraftNearLocation(lat, lon, searchRadiusKm, { observerAltitude });
+
+    return candidates
+      .filter(aircraft => aircraft.velocity > 0 && aircraft.true_track !== null)
+      // Skip anything that cannot reach the pass distance at its own speed
+      .filter(aircraft => aircraft.distance_km - (aircraft.velocity * horizonSeconds) / 1000 <= withinKm)
+      .map(aircraft => {
+        const approach = this.closestApproach(aircraft, observer, horizonSeconds);
+        return { aircraft, approach };
+      })
+      .filter(({ approach }) => approach.min_distance_km <= withinKm)
+      .map(({ aircraft, approach }) => ({
+        ...aircraft,
+        eta_seconds: approach.eta_seconds,
+        min_distance_km: approach.min_distance_km,
+        predicted_position: approach.position,
+        predicted_view: observerView(observer, { ...aircraft, ...approach.position })
+      }))
+      .sort((a, b) => a.eta_seconds - b.eta_seconds);
+  }
+}
+
+const predictionService = new PredictionService();
+
+module.exports = {
+  predictionService
+};
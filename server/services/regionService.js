@@ -0,0 +1,200 @@
+const { getDatabase } = require('../database/init');
+const { boundingBoxes } = require('../utils/geo');
+
+// Largest radius a single query can add to the polled area, matching the
+// limit the aircraft routes accept
+const MAX_QUERY_RADIUS_KM = 500;
+
+// Tracks where users are looking so upstream polling can be limited to the
+// areas that are actually being viewed
+class RegionService {
+  constructor() {
+    this.activeWindow = parseInt(process.env.USER_LOCATION_CACHE_DURATION) || 300;
+    this.regionRadiusKm = parseInt(process.env.ACTIVE_REGION_RADIUS_KM) || 300;
+    this.maxBoxes = parseInt(process.env.OPENSKY_MAX_BOXES) || 6;
+    this.globalBox = this.parseBox(process.env.OPENSKY_GLOBAL_BBOX) || {
+      lamin: -90, lamax: 90, lomin: -180, lomax: 180
+    };
+    this.recentQueries = new Map();
+  }
+
+  // "lamin,lamax,lomin,lomax"
+  parseBox(value) {
+    if (!value) return null;
+
+    const [lamin, lamax, lomin, lomax] = value.split(',').map(parseFloat);
+    if ([lamin, lamax, lomin, lomax].some(isNaN)) {
+      console.error(`⚠️ Ignoring invalid OPENSKY_GLOBAL_BBOX: ${value}`);
+      return null;
+    }
+    return { lamin, lamax, lomin, lomax };
+  }
+
+  recordQuery(lat, lon, radiusKm) {
+    // Round so repeated polls from the same spot share one entry
+    const key = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+    const existing = this.recentQueries.get(key);
+    const clampedKm = Math.min(Math.max(radiusKm, 0), MAX_QUERY_RADIUS_KM) || 0;
+
+    this.recentQueries.set(key, {
+      latitude: lat,
+      longitude: lon,
+      radius_km: Math.max(clampedKm, existing?.radius_km || 0),
+      at: Date.now()
+    });
+  }
+
+  async getActiveRegions() {
+    const cutoff = Date.now() - this.activeWindow * 1000;
+
+    this.recentQueries.forEach((query, key) => {
+      if (query.at < cutoff) this.recentQueries.delete(key);
+    });
+
+    const regions = Array.from(this.recentQueries.values()).map(query => ({
+      latitude: query.latitude,
+      longitude: query.longitude,
+      radius_km: Math.max(query.radius_km, this.regionRadiusKm)
+    }));
+
+    const locations = await this.getRecentUserLocations();
+    locations.forEach(location => {
+      regions.push({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        radius_km: this.regionRadiusKm
+      });
+    });
+
+    // Watch rules need their areas polled even while nobody is looking
+    const watchAreas = await this.getWatchAreas();
+    watchAreas.forEach(area => {
+      regions.push({
+        latitude: area.latitude,
+        longitude: area.longitude,
+        radius_km: area.radius_km
+      });
+    });
+
+    return regions;
+  }
+
+  async getWatchAreas() {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT center_latitude AS latitude, center_longitude AS longitude, MAX(radius_km) AS radius_km
+         FROM (
+           SELECT COALESCE(r.latitude, l.latitude) AS center_latitude,
+                  COALESCE(r.longitude, l.longitude) AS center_longitude,
+                  r.radius_km
+           FROM watch_rules r
+           LEFT JOIN user_locations l ON l.user_id = r.user_id
+           WHERE r.enabled = 1
+         )
+         WHERE center_latitude IS NOT NULL AND center_longitude IS NOT NULL
+         GROUP BY center_latitude, center_longitude`,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  async getRecentUserLocations() {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT latitude, longitude FROM user_locations WHERE timestamp > datetime(\'now\', ?)',
+        [`-${this.activeWindow} seconds`],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Bounding boxes to request from OpenSky, falling back to the configured
+  // global box when nobody is active
+  async getBoundingBoxes() {
+    const regions = await this.getActiveRegions();
+    if (regions.length === 0) {
+      return [this.globalBox];
+    }
+
+    const boxes = regions.flatMap(region =>
+      boundingBoxes(region.latitude, region.longitude, region.radius_km)
+    );
+    return this.mergeBoxes(boxes);
+  }
+
+  // Union overlapping boxes, then keep joining the pair that adds the least
+  // area until we are within the per-cycle request budget
+  mergeBoxes(boxes) {
+    let merged = [...boxes];
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let i = 0; i < merged.length && !changed; i++) {
+        for (let j = i + 1; j < merged.length && !changed; j++) {
+          if (this.boxesOverlap(merged[i], merged[j])) {
+            merged[i] = this.unionBox(merged[i], merged[j]);
+            merged.splice(j, 1);
+            changed = true;
+          }
+        }
+      }
+    }
+
+    while (merged.length > this.maxBoxes) {
+      let best = null;
+      for (let i = 0; i < merged.length; i++) {
+        for (let j = i + 1; j < merged.length; j++) {
+          const union = this.unionBox(merged[i], merged[j]);
+          const cost = this.boxArea(union) - this.boxArea(merged[i]) - this.boxArea(merged[j]);
+          if (!best || cost < best.cost) {
+            best = { i, j, union, cost };
+          }
+        }
+      }
+      merged[best.i] = best.union;
+      merged.splice(best.j, 1);
+    }
+
+    return merged;
+  }
+
+  boxesOverlap(a, b) {
+    return a.lamin <= b.lamax && b.lamin <= a.lamax && a.lomin <= b.lomax && b.lomin <= a.lomax;
+  }
+
+  unionBox(a, b) {
+    return {
+      lamin: Math.min(a.lamin, b.lamin),
+      lamax: Math.max(a.lamax, b.lamax),
+      lomin: Math.min(a.lomin, b.lomin),
+      lomax: Math.max(a.lomax, b.lomax)
+    };
+  }
+
+  boxArea(box) {
+    return (box.lamax - box.lamin) * (box.lomax - box.lomin);
+  }
+}
+
+const regionService = new RegionService();
+
+module.exports = {
+  regionService
+};
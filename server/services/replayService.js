@@ -0,0 +1,174 @@
+const { getDatabase } = require('../database/init');
+const { aircraftService, AIRCRAFT_DETAILS_JOINS } = require('./aircraftService');
+const { airportService } = require('./airportService');
+const { TRANSITION_TYPES } = require('./eventService');
+const { calculateDistance, boundingBoxes } = require('../utils/geo');
+const { observerView } = require('../utils/visibility');
+
+// Samples further apart than this are not interpolated between (seconds)
+const MAX_INTERPOLATION_GAP = 300;
+
+// After its last sample an aircraft is shown where it was for this long
+// (seconds), covering the time until the next poll would have seen it
+const HOLD_SECONDS = 60;
+
+// Aircraft sampled outside the radius may have flown into it by the
+// requested time; this covers MAX_INTERPOLATION_GAP at airliner speeds
+const SEARCH_MARGIN_KM = 100;
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function lerp(from, to, fraction) {
+  if (from === null || from === undefined) return to;
+  if (to === null || to === undefined) return from;
+  return from + (to - from) * fraction;
+}
+
+// Interpolate angles (tracks, longitudes) the short way round
+function lerpAngle(from, to, fraction, range = 360) {
+  if (from === null || from === undefined) return to;
+  if (to === null || to === undefined) return from;
+
+  let delta = (to - from) % range;
+  if (delta > range / 2) delta -= range;
+  if (delta < -range / 2) delta += range;
+  return from + delta * fraction;
+}
+
+function normalizeLongitude(longitude) {
+  return ((longitude + 540) % 360) - 180;
+}
+
+function normalizeTrack(track) {
+  return track === null || track === undefined ? null : (track + 360) % 360;
+}
+
+// Reconstructs the airspace at a past time from aircraft_history
+class ReplayService {
+  // Oldest and newest recorded samples as unix seconds, null when empty
+  async getRange() {
+    const [row] = await all(getDatabase(), `
+      SELECT CAST(strftime('%s', MIN(timestamp)) AS INTEGER) AS start,
+             CAST(strftime('%s', MAX(timestamp)) AS INTEGER) AS end
+      FROM aircraft_history
+    `);
+    return row && row.start !== null ? row : null;
+  }
+
+  // Aircraft within radiusKm at unix time at, shaped like /nearby results.
+  // Positions between two samples are interpolated; interpolated is false
+  // for aircraft held at their last sample.
+  async getAircraftNearLocation(lat, lon, radiusKm, at) {
+    const db = getDatabase();
+    const query = `
+      SELECT a.icao24, a.callsign, a.latitude, a.longitude, a.altitude, a.geo_altitude,
+             a.velocity, a.true_track, a.vertical_rate, a.on_ground,
+             CAST(strftime('%s', a.timestamp) AS INTEGER) AS sample_time,
+             m.registration, m.manufacturer, m.model, m.typecode, m.operator,
+             al.name AS airline_name, al.iata AS airline_iata,
+             rt.origin, rt.destination
+      FROM aircraft_history a
+      ${AIRCRAFT_DETAILS_JOINS}
+      WHERE a.timestamp BETWEEN datetime(?, 'unixepoch') AND datetime(?, 'unixepoch')
+        AND a.latitude BETWEEN ? AND ?
+        AND a.longitude BETWEEN ? AND ?
+      ORDER BY a.timestamp
+    `;
+
+    const samples = await Promise.all(boundingBoxes(lat, lon, radiusKm + SEARCH_MARGIN_KM).map(box => all(db, query, [
+      at - MAX_INTERPOLATION_GAP, at + MAX_INTERPOLATION_GAP,
+      box.lamin, box.lamax, box.lomin, box.lomax
+    ])));
+
+    // Last sample at or before the time and first one after it
+    const brackets = new Map();
+    samples.flat().forEach(sample => {
+      const bracket = brackets.get(sample.icao24) || { before: null, after: null };
+      if (sample.sample_time <= at) {
+        if (!bracket.before || sample.sample_time >= bracket.before.sample_time) bracket.before = sample;
+      } else if (!bracket.after || sample.sample_time < bracket.after.sample_time) {
+        bracket.after = sample;
+      }
+      brackets.set(sample.icao24, bracket);
+    });
+
+    const observer = { latitude: lat, longitude: lon, altitude: 0 };
+    const alerts = await this.getAlertsAt(at);
+
+    const nearby = Array.from(brackets.values())
+      .map(({ before, after }) => this.positionAt(before, after, at))
+      .filter(plane => plane && !plane.on_ground && plane.altitude > 0)
+      .map(plane => ({ ...plane, distance_km: calculateDistance(lat, lon, plane.latitude, plane.longitude) }))
+      .filter(plane => plane.distance_km <= radiusKm)
+      .map(plane => ({ ...plane, ...observerView(observer, plane) }))
+      .sort((a, b) => a.distance_km - b.distance_km);
+
+    const annotated = await airportService.annotateAircraft(nearby, lat, lon, radiusKm);
+
+    return annotated.map(plane => ({
+      ...aircraftService.formatNearbyAircraft(plane),
+      alerts: alerts.get(plane.icao24) || [],
+      interpolated: plane.interpolated,
+      seen_age_s: plane.interpolated ? 0 : at - plane.sample_time,
+      last_updated: new Date(plane.sample_time * 1000).toISOString()
+    }));
+  }
+
+  // null when the aircraft wasn't being tracked at that time
+  positionAt(before, after, at) {
+    if (!before) return null;
+
+    if (!after || after.sample_time - before.sample_time > MAX_INTERPOLATION_GAP) {
+      return at - before.sample_time <= HOLD_SECONDS ? { ...before, interpolated: false } : null;
+    }
+
+    const fraction = (at - before.sample_time) / (after.sample_time - before.sample_time);
+
+    return {
+      ...before,
+      latitude: lerp(before.latitude, after.latitude, fraction),
+      longitude: normalizeLongitude(lerpAngle(before.longitude, after.longitude, fraction)),
+      altitude: lerp(before.altitude, after.altitude, fraction),
+      geo_altitude: lerp(before.geo_altitude, after.geo_altitude, fraction),
+      velocity: lerp(before.velocity, after.velocity, fraction),
+      true_track: normalizeTrack(lerpAngle(before.true_track, after.true_track, fraction)),
+      vertical_rate: lerp(before.vertical_rate, after.vertical_rate, fraction),
+      sample_time: at,
+      interpolated: true
+    };
+  }
+
+  // icao24 -> event types open at that time. Takeoffs and landings are
+  // instants, not alerts.
+  async getAlertsAt(at) {
+    const rows = await all(getDatabase(), `
+      SELECT DISTINCT icao24, type
+      FROM aircraft_events
+      WHERE started_at <= datetime(?, 'unixepoch')
+        AND COALESCE(ended_at, last_seen_at) >= datetime(?, 'unixepoch')
+        AND type NOT IN (${TRANSITION_TYPES.map(() => '?').join(', ')})
+    `, [at, at, ...TRANSITION_TYPES]);
+
+    const alerts = new Map();
+    rows.forEach(row => {
+      alerts.set(row.icao24, (alerts.get(row.icao24) || []).concat(row.type));
+    });
+    return alerts;
+  }
+}
+
+const replayService = new ReplayService();
+
+module.exports = {
+  replayService
+};
@@ -0,0 +1,201 @@
+const { getDatabase } = require('../database/init');
+const { aircraftService } = require('./aircraftService');
+const { calculateDistance } = require('../utils/geo');
+
+// Columns of the CSV export, in order
+const EXPORT_COLUMNS = [
+  'id', 'spotted_at', 'icao24', 'callsign', 'registration', 'typecode', 'model',
+  'airline_icao', 'airline_name', 'observer_latitude', 'observer_longitude', 'altitude', 'distance_km'
+];
+
+// Sighting columns that first-seen badges are awarded for, with the column
+// used to label them
+const BADGE_KINDS = {
+  airframe: { column: 'icao24', label: 'registration' },
+  type: { column: 'typecode', label: 'model' },
+  airline: { column: 'airline_icao', label: 'airline_name' }
+};
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Personal logbook of aircraft users have marked as spotted
+class SightingService {
+  // Log a currently tracked aircraft for the user. Resolves to
+  // { sighting, firsts } where firsts lists the badge kinds this sighting
+  // earned, or { error } when the user has no stored location or the
+  // aircraft isn't being tracked.
+  async addSighting(userId, icao24) {
+    const db = getDatabase();
+
+    const [location] = await all(db, 'SELECT latitude, longitude FROM user_locations WHERE user_id = ?', [userId]);
+    if (!location) return { error: 'location' };
+
+    const plane = await aircraftService.getAircraftByIcao24(icao24);
+    if (!plane) return { error: 'aircraft' };
+
+    const sighting = {
+      icao24,
+      callsign: plane.callsign ? plane.callsign.trim() || null : null,
+      registration: plane.registration || null,
+      typecode: plane.typecode || null,
+      model: plane.model || null,
+      airline_icao: plane.airline_icao,
+      airline_name: plane.airline_name,
+      observer_latitude: location.latitude,
+      observer_longitude: location.longitude,
+      altitude: plane.altitude,
+      distance_km: Math.round(calculateDistance(location.latitude, location.longitude, plane.latitude, plane.longitude) * 100) / 100
+    };
+
+    const firsts = await this.getFirsts(db, userId, sighting);
+
+    const result = await run(db, `
+      INSERT INTO sightings (
+        user_id, icao24, callsign, registration, typecode, model, airline_icao, airline_name,
+        observer_latitude, observer_longitude, altitude, distance_km
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      sighting.icao24,
+      sighting.callsign,
+      sighting.registration,
+      sighting.typecode,
+      sighting.model,
+      sighting.airline_icao,
+      sighting.airline_name,
+      sighting.observer_latitude,
+      sighting.observer_longitude,
+      sighting.altitude,
+      sighting.distance_km
+    ]);
+
+    const [stored] = await all(db, 'SELECT * FROM sightings WHERE id = ?', [result.lastID]);
+    return { sighting: stored, firsts };
+  }
+
+  // Badge kinds the user has not logged this sighting's value for yet
+  async getFirsts(db, userId, sighting) {
+    const firsts = [];
+
+    for (const [kind, { column }] of Object.entries(BADGE_KINDS)) {
+      if (!sighting[column]) continue;
+
+      const [seen] = await all(db, `SELECT 1 FROM sightings WHERE user_id = ? AND ${column} = ? LIMIT 1`, [userId, sighting[column]]);
+      if (!seen) firsts.push(kind);
+    }
+
+    return firsts;
+  }
+
+  // Newest first; since is a unix timestamp in seconds. limit null returns
+  // every sighting.
+  async getSightings(userId, { since = null, limit = 100 } = {}) {
+    const params = [userId];
+    let sinceFilter = '';
+
+    if (since !== null) {
+      sinceFilter = 'AND spotted_at >= datetime(?, \'unixepoch\')';
+      params.push(since);
+    }
+
+    const limitClause = limit === null ? '' : 'LIMIT ?';
+    if (limit !== null) params.push(limit);
+
+    return all(getDatabase(), `
+      SELECT * FROM sightings
+      WHERE user_id = ? ${sinceFilter}
+      ORDER BY spotted_at DESC, id DESC
+      ${limitClause}
+    `, params);
+  }
+
+  async deleteSighting(userId, sightingId) {
+    const result = await run(getDatabase(), 'DELETE FROM sightings WHERE id = ? AND user_id = ?', [sightingId, userId]);
+    return result.changes > 0;
+  }
+
+  // Totals, unique airframes/types/airlines and the most logged types and
+  // airlines
+  async getStats(userId) {
+    const db = getDatabase();
+
+    const [totals] = await all(db, `
+      SELECT COUNT(*) AS sightings,
+             COUNT(DISTINCT icao24) AS airframes,
+             COUNT(DISTINCT typecode) AS types,
+             COUNT(DISTINCT airline_icao) AS airlines,
+             MIN(spotted_at) AS first_spotted_at,
+             MAX(spotted_at) AS last_spotted_at
+      FROM sightings
+      WHERE user_id = ?
+    `, [userId]);
+
+    const top = (kind) => {
+      const { column, label } = BADGE_KINDS[kind];
+      return all(db, `
+        SELECT ${column} AS value, MAX(${label}) AS label, COUNT(*) AS sightings
+        FROM sightings
+        WHERE user_id = ? AND ${column} IS NOT NULL
+        GROUP BY ${column}
+        ORDER BY sightings DESC, value
+        LIMIT 5
+      `, [userId]);
+    };
+
+    return {
+      ...totals,
+      top_types: await top('type'),
+      top_airlines: await top('airline')
+    };
+  }
+
+  // First sighting of every airframe, type and airline, newest first
+  async getBadges(userId) {
+    const queries = Object.entries(BADGE_KINDS).map(([kind, { column, label }]) => `
+      SELECT '${kind}' AS kind, s.${column} AS value, s.${label} AS label, s.id AS sighting_id,
+             s.spotted_at AS first_spotted_at, counts.sightings
+      FROM sightings s
+      JOIN (
+        SELECT ${column} AS value, MIN(id) AS first_id, COUNT(*) AS sightings
+        FROM sightings
+        WHERE user_id = ? AND ${column} IS NOT NULL
+        GROUP BY ${column}
+      ) counts ON counts.first_id = s.id
+    `);
+
+    return all(getDatabase(), `
+      ${queries.join(' UNION ALL ')}
+      ORDER BY first_spotted_at DESC, sighting_id DESC
+    `, queries.map(() => userId));
+  }
+}
+
+const sightingService = new SightingService();
+
+module.exports = {
+  sightingService,
+  EXPORT_COLUMNS,
+  BADGE_KINDS
+};
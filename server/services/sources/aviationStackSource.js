@@ -0,0 +1,56 @@
+const axios = require('axios');
+const { DataSource } = require('./dataSource');
+
+class AviationStackSource extends DataSource {
+  constructor(options = {}) {
+    super('aviationstack', {
+      priority: 20,
+      merge: 'fallback',
+      enabled: Boolean(process.env.AVIATION_API_KEY),
+      ...options
+    });
+  }
+
+  async fetchAircraft() {
+    const url = `${process.env.AVIATION_API_BASE_URL}/flights`;
+    const response = await axios.get(url, {
+      params: {
+        access_key: process.env.AVIATION_API_KEY,
+        limit: 100
+      },
+      timeout: 10000
+    });
+
+    if (response.data && response.data.data) {
+      return response.data.data.map(flight => this.transformAviationStackData(flight));
+    }
+    return [];
+  }
+
+  transformAviationStackData(flight) {
+    return {
+      icao24: flight.aircraft?.icao24 || null,
+      callsign: flight.flight?.iata || flight.flight?.icao || null,
+      origin_country: flight.airline?.country || null,
+      time_position: null,
+      time_velocity: null,
+      longitude: flight.departure?.longitude || null,
+      latitude: flight.departure?.latitude || null,
+      altitude: null,
+      on_ground: flight.flight_status === 'landed',
+      velocity: null,
+      true_track: null,
+      vertical_rate: null,
+      sensors: null,
+      geo_altitude: null,
+      squawk: null,
+      spi: false,
+      position_source: null,
+      category: null
+    };
+  }
+}
+
+module.exports = {
+  AviationStackSource
+};
@@ -0,0 +1,55 @@
+// Base class for aircraft data sources. Subclasses implement fetchAircraft()
+// and resolve to records in the shape of the aircraft table columns.
+//
+// Options:
+//   priority - lower runs first and wins conflicts when records are merged
+//   enabled  - disabled sources are registered but never polled
+//   merge    - 'combine' always polls the source and merges its records,
+//              'fallback' only polls it when no earlier source returned data
+class DataSource {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.priority = options.priority ?? 100;
+    this.enabled = options.enabled ?? true;
+    this.merge = options.merge || 'combine';
+
+    this.health = {
+      last_success: null,
+      last_error: null,
+      last_error_at: null,
+      record_count: 0
+    };
+  }
+
+  // Push-based sources open their connections here; polled sources can
+  // leave both lifecycle hooks as no-ops
+  start() {}
+
+  stop() {}
+
+  async fetchAircraft() {
+    throw new Error(`Data source "${this.name}" does not implement fetchAircraft()`);
+  }
+
+  recordSuccess(count) {
+    this.health.last_success = new Date().toISOString();
+    this.health.record_count = count;
+  }
+
+  recordFailure(error) {
+    this.health.last_error = error.message;
+    this.health.last_error_at = new Date().toISOString();
+    this.health.record_count = 0;
+  }
+
+  getStatus() {
+    if (!this.enabled) return 'disabled';
+    if (!this.health.last_success && !this.health.last_error_at) return 'pending';
+    if (!this.health.last_success || this.health.last_error_at > this.health.last_success) return 'failing';
+    return 'healthy';
+  }
+}
+
+module.exports = {
+  DataSource
+};
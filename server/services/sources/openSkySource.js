@@ -0,0 +1,92 @@
+const axios = require('axios');
+const { DataSource } = require('./dataSource');
+const { ResponseRecorder } = require('./recorder');
+
+class OpenSkySource extends DataSource {
+  constructor(options = {}) {
+    super('opensky', { priority: 10, ...options });
+    this.baseUrl = options.baseUrl || process.env.OPENSKY_BASE_URL || 'https://opensky-network.org/api';
+    // Resolves to the { lamin, lamax, lomin, lomax } boxes to poll this cycle
+    this.getBoundingBoxes = options.getBoundingBoxes || null;
+    // Raw responses are saved here for the playback source
+    const recordDir = options.recordDir !== undefined ? options.recordDir : process.env.OPENSKY_RECORD_DIR;
+    this.recorder = recordDir ? new ResponseRecorder(recordDir) : null;
+  }
+
+  async fetchAircraft() {
+    const boxes = this.getBoundingBoxes
+      ? await this.getBoundingBoxes()
+      : [{ lamin: -90, lamax: 90, lomin: -180, lomax: 180 }];
+
+    const responses = [];
+    for (const box of boxes) {
+      responses.push({ params: box, data: await this.fetchBoundingBox(box) });
+    }
+
+    if (this.recorder) {
+      try {
+        await this.recorder.record(this.name, responses);
+      } catch (error) {
+        console.error('⚠️ Failed to record OpenSky response:', error.message);
+      }
+    }
+
+    return this.transformResponses(responses);
+  }
+
+  // Raw /states/all response body
+  async fetchBoundingBox({ lamin, lamax, lomin, lomax }) {
+    const response = await axios.get(`${this.baseUrl}/states/all`, {
+      params: { lamin, lamax, lomin, lomax },
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'AirplaneTracker/1.0'
+      }
+    });
+
+    return response.data;
+  }
+
+  // Boxes may share aircraft along their edges, keep the newest report
+  transformResponses(responses) {
+    const aircraft = new Map();
+    responses.forEach(({ data }) => {
+      ((data && data.states) || []).forEach(state => {
+        const record = this.transformOpenSkyData(state);
+        const existing = aircraft.get(record.icao24);
+        if (!existing || (record.time_position || 0) > (existing.time_position || 0)) {
+          aircraft.set(record.icao24, record);
+        }
+      });
+    });
+
+    return Array.from(aircraft.values());
+  }
+
+  transformOpenSkyData(state) {
+    return {
+      icao24: state[0],
+      callsign: state[1] || null,
+      origin_country: state[2] || null,
+      time_position: state[3] || null,
+      time_velocity: state[4] || null,
+      longitude: state[5] ?? null,
+      latitude: state[6] ?? null,
+      altitude: state[7] || null,
+      on_ground: state[8] || false,
+      velocity: state[9] || null,
+      true_track: state[10] || null,
+      vertical_rate: state[11] || null,
+      sensors: state[12] ? state[12].join(',') : null,
+      geo_altitude: state[13] || null,
+      squawk: state[14] || null,
+      spi: state[15] || false,
+      position_source: state[16] || null,
+      category: state[17] || null
+    };
+  }
+}
+
+module.exports = {
+  OpenSkySource
+};
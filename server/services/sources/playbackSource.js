@@ -0,0 +1,116 @@
+const fs = require('fs');
+const { DataSource } = require('./dataSource');
+const { OpenSkySource } = require('./openSkySource');
+const { listRecordings } = require('./recorder');
+
+// Recorded sources the playback source knows how to transform
+const TRANSFORMERS = {
+  opensky: new OpenSkySource({ enabled: false, recordDir: null })
+};
+
+// Feeds responses captured with OPENSKY_RECORD_DIR back through the normal
+// transform and update pipeline, without network access.
+//
+// In 'realtime' mode frames are released on the recorded schedule, scaled
+// by speed, and the recording loops unless loop is off. In 'step' mode
+// every update cycle plays the next frame, which keeps runs deterministic.
+// Position times are moved to the present so the data looks live.
+class PlaybackSource extends DataSource {
+  constructor(options = {}) {
+    const directory = options.directory || process.env.PLAYBACK_DIR;
+    super('playback', {
+      priority: 0,
+      enabled: Boolean(directory),
+      ...options
+    });
+    this.directory = directory;
+    this.mode = (options.mode || process.env.PLAYBACK_MODE) === 'step' ? 'step' : 'realtime';
+    this.speed = options.speed || parseFloat(process.env.PLAYBACK_SPEED) || 1;
+    this.loop = options.loop ?? process.env.PLAYBACK_LOOP !== 'false';
+
+    this.frames = null;
+    this.startedAt = null;
+    this.nextFrame = 0;
+    this.finished = false;
+  }
+
+  start() {
+    this.frames = listRecordings(this.directory).filter(frame => TRANSFORMERS[frame.source]);
+    this.startedAt = Date.now();
+    this.nextFrame = 0;
+    this.finished = false;
+    console.log(`▶️ Playing back ${this.frames.length} recorded frames from ${this.directory} (${this.mode}, ${this.speed}x)`);
+  }
+
+  async fetchAircraft() {
+    if (!this.frames) this.start();
+    if (this.frames.length === 0) {
+      throw new Error(`No recordings found in ${this.directory}`);
+    }
+
+    const frame = this.mode === 'step' ? this.stepFrame() : this.realtimeFrame();
+    if (!frame) return [];
+
+    const recording = JSON.parse(await fs.promises.readFile(frame.file, 'utf8'));
+    const records = TRANSFORMERS[frame.source].transformResponses(recording.responses);
+    const retime = (seconds) => seconds && Math.round(this.toPlaybackTime(frame, seconds));
+
+    return records.map(record => ({
+      ...record,
+      time_position: retime(record.time_position),
+      time_velocity: retime(record.time_velocity)
+    }));
+  }
+
+  stepFrame() {
+    if (this.nextFrame >= this.frames.length) {
+      if (!this.loop) return this.finish();
+      this.nextFrame = 0;
+    }
+    return this.frames[this.nextFrame++];
+  }
+
+  // Newest frame recorded before the scaled playback clock. The last frame
+  // is shown for one average frame interval before the recording ends.
+  realtimeFrame() {
+    const first = this.frames[0].recordedAt;
+    const last = this.frames[this.frames.length - 1].recordedAt;
+    const interval = this.frames.length > 1 ? (last - first) / (this.frames.length - 1) : 0;
+    let position = first + (Date.now() - this.startedAt) * this.speed;
+
+    if (position > last + interval) {
+      if (!this.loop) return this.finish();
+      this.startedAt = Date.now();
+      position = first;
+    }
+
+    let frame = this.frames[0];
+    for (const candidate of this.frames) {
+      if (candidate.recordedAt > position) break;
+      frame = candidate;
+    }
+    return frame;
+  }
+
+  finish() {
+    if (!this.finished) {
+      this.finished = true;
+      console.log('⏹️ Playback finished');
+    }
+    return null;
+  }
+
+  // Maps a recorded unix time onto the present. Realtime playback maps the
+  // whole recording onto the (scaled) playback clock, so a frame served
+  // twice keeps its times; step playback dates each frame to now.
+  toPlaybackTime(frame, seconds) {
+    if (this.mode === 'step') {
+      return seconds + (Date.now() - frame.recordedAt) / 1000;
+    }
+    return this.startedAt / 1000 + (seconds - this.frames[0].recordedAt / 1000) / this.speed;
+  }
+}
+
+module.exports = {
+  PlaybackSource
+};
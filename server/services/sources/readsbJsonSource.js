@@ -0,0 +1,107 @@
+const fs = require('fs');
+const axios = require('axios');
+const { DataSource } = require('./dataSource');
+const { FEET_TO_METERS, KNOTS_TO_MS, FPM_TO_MS } = require('./units');
+
+// readsb "type" values that map onto OpenSky position sources
+const POSITION_SOURCES = {
+  mlat: 2
+};
+
+// Polls an aircraft.json in the readsb/dump1090-fa/tar1090 format, either
+// from a local file path or an http(s) URL
+class ReadsbJsonSource extends DataSource {
+  constructor(options = {}) {
+    const location = options.location || process.env.READSB_JSON;
+    super('readsb', {
+      priority: 5,
+      enabled: Boolean(location),
+      ...options
+    });
+    this.location = location;
+    this.maxPositionAge = options.maxPositionAge || parseInt(process.env.READSB_MAX_POSITION_AGE) || 60;
+  }
+
+  async fetchAircraft() {
+    if (!this.location) {
+      throw new Error('READSB_JSON is not configured');
+    }
+
+    const data = await this.load();
+    if (!data || !Array.isArray(data.aircraft)) {
+      throw new Error(`No aircraft array in ${this.location}`);
+    }
+
+    // A file is read as it is now, so ages count from the read time; a copy
+    // that is no longer rewritten by readsb would otherwise have all of its
+    // aircraft expired as soon as its "now" falls outside the stale window
+    const now = this.isUrl() && data.now ? data.now : Date.now() / 1000;
+    return data.aircraft
+      .filter(ac => ac.hex && !ac.hex.startsWith('~'))
+      .filter(ac => ac.seen_pos === undefined || ac.seen_pos <= this.maxPositionAge)
+      .map(ac => this.transformReadsbData(ac, now));
+  }
+
+  isUrl() {
+    return /^https?:\/\//.test(this.location);
+  }
+
+  async load() {
+    if (this.isUrl()) {
+      const response = await axios.get(this.location, {
+        timeout: 10000,
+        headers: {
+          'User-Agent': 'AirplaneTracker/1.0'
+        }
+      });
+      return response.data;
+    }
+
+    const contents = await fs.promises.readFile(this.location, 'utf8');
+    return JSON.parse(contents);
+  }
+
+  transformReadsbData(ac, now) {
+    const onGround = ac.alt_baro === 'ground';
+    const verticalRate = ac.baro_rate ?? ac.geom_rate;
+
+    return {
+      icao24: ac.hex.toLowerCase(),
+      callsign: ac.flight ? ac.flight.trim() : null,
+      origin_country: null,
+      time_position: ac.seen_pos !== undefined ? Math.floor(now - ac.seen_pos) : null,
+      time_velocity: ac.seen !== undefined ? Math.floor(now - ac.seen) : null,
+      longitude: ac.lon ?? null,
+      latitude: ac.lat ?? null,
+      altitude: typeof ac.alt_baro === 'number' ? ac.alt_baro * FEET_TO_METERS : null,
+      on_ground: onGround,
+      velocity: typeof ac.gs === 'number' ? ac.gs * KNOTS_TO_MS : null,
+      true_track: ac.track ?? null,
+      vertical_rate: typeof verticalRate === 'number' ? verticalRate * FPM_TO_MS : null,
+      sensors: null,
+      geo_altitude: typeof ac.alt_geom === 'number' ? ac.alt_geom * FEET_TO_METERS : null,
+      squawk: ac.squawk || null,
+      spi: Boolean(ac.spi),
+      position_source: POSITION_SOURCES[ac.type] ?? 0,
+      category: this.transformCategory(ac.category)
+    };
+  }
+
+  // Emitter categories A1-A7, B1-B7 and C1-C5 follow each other in
+  // OpenSky's numbering starting at 2; A0/B0/C0 mean "no information"
+  transformCategory(category) {
+    const match = /^([ABC])([0-7])$/.exec(category || '');
+    if (!match) return 0;
+
+    const [, set, number] = match;
+    const index = parseInt(number);
+    if (index === 0) return 1;
+
+    const offsets = { A: 1, B: 8, C: 15 };
+    return offsets[set] + index;
+  }
+}
+
+module.exports = {
+  ReadsbJsonSource
+};
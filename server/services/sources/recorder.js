@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes raw upstream responses to <directory>/<unix ms>-<source>.json, one
+// file per update cycle, for the playback source to feed back later
+class ResponseRecorder {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  async record(source, responses) {
+    const recordedAt = Date.now();
+    const file = path.join(this.directory, `${recordedAt}-${source}.json`);
+
+    await fs.promises.writeFile(file, JSON.stringify({
+      source,
+      recorded_at: recordedAt,
+      responses
+    }));
+    return file;
+  }
+}
+
+// Recorded frames in a directory, oldest first
+function listRecordings(directory) {
+  return fs.readdirSync(directory)
+    .map(file => {
+      const match = file.match(/^(\d+)-([\w-]+)\.json$/);
+      return match && { file: path.join(directory, file), recordedAt: parseInt(match[1]), source: match[2] };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+}
+
+module.exports = {
+  ResponseRecorder,
+  listRecordings
+};
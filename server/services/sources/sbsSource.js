@@ -0,0 +1,179 @@
+const net = require('net');
+const { DataSource } = require('./dataSource');
+const { FEET_TO_METERS, KNOTS_TO_MS, FPM_TO_MS } = require('./units');
+
+// Column positions in a BaseStation (SBS-1) MSG line
+const FIELDS = {
+  messageType: 0,
+  transmissionType: 1,
+  hexIdent: 4,
+  callsign: 10,
+  altitude: 11,
+  groundSpeed: 12,
+  track: 13,
+  latitude: 14,
+  longitude: 15,
+  verticalRate: 16,
+  squawk: 17,
+  alert: 18,
+  emergency: 19,
+  spi: 20,
+  isOnGround: 21
+};
+
+// Ingests the SBS-1 stream (port 30003) of a local dump1090/readsb receiver
+// and assembles per-aircraft state from the individual MSG types
+class SbsSource extends DataSource {
+  constructor(options = {}) {
+    super('sbs', {
+      priority: 5,
+      enabled: Boolean(options.host || process.env.SBS_HOST),
+      ...options
+    });
+    this.host = options.host || process.env.SBS_HOST || '127.0.0.1';
+    this.port = options.port || parseInt(process.env.SBS_PORT) || 30003;
+    this.staleSeconds = options.staleSeconds || parseInt(process.env.SBS_STALE_SECONDS) || 60;
+    this.reconnectDelay = options.reconnectDelay || parseInt(process.env.SBS_RECONNECT_DELAY) || 5000;
+
+    this.states = new Map();
+    this.socket = null;
+    this.connected = false;
+    this.stopped = true;
+    this.buffer = '';
+    this.reconnectTimer = null;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+
+  connect() {
+    this.buffer = '';
+    this.socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket.setEncoding('utf8');
+
+    this.socket.on('connect', () => {
+      this.connected = true;
+      console.log(`📡 Connected to SBS feed at ${this.host}:${this.port}`);
+    });
+
+    this.socket.on('data', (chunk) => this.handleData(chunk));
+
+    this.socket.on('error', (error) => {
+      this.recordFailure(error);
+      console.error(`SBS feed error (${this.host}:${this.port}):`, error.message);
+    });
+
+    this.socket.on('close', () => {
+      this.connected = false;
+      this.socket = null;
+      if (!this.stopped) {
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+      }
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    lines.forEach(line => this.ingestLine(line));
+  }
+
+  ingestLine(line, receivedAt = Date.now()) {
+    const fields = line.trim().split(',');
+    if (fields[FIELDS.messageType] !== 'MSG' || fields.length <= FIELDS.isOnGround) return;
+
+    const icao24 = fields[FIELDS.hexIdent].trim().toLowerCase();
+    if (!/^[0-9a-f]{6}$/.test(icao24)) return;
+
+    const now = Math.floor(receivedAt / 1000);
+    const state = this.states.get(icao24) || this.createState(icao24);
+    const value = (name) => {
+      const raw = fields[FIELDS[name]];
+      return raw === undefined || raw.trim() === '' ? null : raw.trim();
+    };
+    // Unparseable numbers are treated like empty fields
+    const number = (name) => {
+      const parsed = parseFloat(value(name));
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+    const flag = (name) => {
+      const raw = value(name);
+      return raw === null ? null : raw !== '0';
+    };
+
+    if (value('callsign') !== null) state.callsign = value('callsign');
+    if (number('altitude') !== null) state.altitude = number('altitude') * FEET_TO_METERS;
+    if (number('groundSpeed') !== null) {
+      state.velocity = number('groundSpeed') * KNOTS_TO_MS;
+      state.time_velocity = now;
+    }
+    if (number('track') !== null) state.true_track = number('track');
+    if (number('latitude') !== null && number('longitude') !== null) {
+      state.latitude = number('latitude');
+      state.longitude = number('longitude');
+      state.time_position = now;
+    }
+    if (number('verticalRate') !== null) state.vertical_rate = number('verticalRate') * FPM_TO_MS;
+    if (value('squawk') !== null) state.squawk = value('squawk');
+    if (flag('spi') !== null) state.spi = flag('spi');
+    if (flag('isOnGround') !== null) state.on_ground = flag('isOnGround');
+
+    state.last_seen = now;
+    this.states.set(icao24, state);
+  }
+
+  createState(icao24) {
+    return {
+      icao24,
+      callsign: null,
+      origin_country: null,
+      time_position: null,
+      time_velocity: null,
+      longitude: null,
+      latitude: null,
+      altitude: null,
+      on_ground: false,
+      velocity: null,
+      true_track: null,
+      vertical_rate: null,
+      sensors: null,
+      geo_altitude: null,
+      squawk: null,
+      spi: false,
+      position_source: 0,
+      category: null,
+      last_seen: null
+    };
+  }
+
+  async fetchAircraft() {
+    const cutoff = Math.floor(Date.now() / 1000) - this.staleSeconds;
+
+    this.states.forEach((state, icao24) => {
+      if (state.last_seen < cutoff) this.states.delete(icao24);
+    });
+
+    if (!this.connected && this.states.size === 0) {
+      throw new Error(`Not connected to SBS feed at ${this.host}:${this.port}`);
+    }
+
+    return Array.from(this.states.values()).map(({ last_seen, ...record }) => record);
+  }
+}
+
+module.exports = {
+  SbsSource
+};
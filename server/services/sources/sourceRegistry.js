@@ -0,0 +1,154 @@
+const path = require('path');
+const { DataSource } = require('./dataSource');
+
+const MERGE_MODES = ['combine', 'fallback'];
+
+class SourceRegistry {
+  constructor() {
+    this.sources = [];
+  }
+
+  register(source) {
+    if (!(source instanceof DataSource)) {
+      throw new Error('Data sources must extend DataSource');
+    }
+
+    this.applyEnvConfig(source);
+    this.sources = this.sources.filter(existing => existing.name !== source.name);
+    this.sources.push(source);
+    this.sources.sort((a, b) => a.priority - b.priority);
+
+    console.log(`📡 Registered data source "${source.name}" (priority ${source.priority}, ${source.merge}${source.enabled ? '' : ', disabled'})`);
+    return source;
+  }
+
+  unregister(name) {
+    this.sources = this.sources.filter(source => source.name !== name);
+  }
+
+  get(name) {
+    return this.sources.find(source => source.name === name);
+  }
+
+  // SOURCE_<NAME>_ENABLED / _PRIORITY / _MERGE override the adapter defaults
+  applyEnvConfig(source) {
+    const prefix = `SOURCE_${source.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const enabled = process.env[`${prefix}_ENABLED`];
+    const priority = parseInt(process.env[`${prefix}_PRIORITY`]);
+    const merge = process.env[`${prefix}_MERGE`];
+
+    if (enabled !== undefined) {
+      source.enabled = enabled === 'true' || enabled === '1';
+    }
+    if (!isNaN(priority)) {
+      source.priority = priority;
+    }
+    if (merge) {
+      if (MERGE_MODES.includes(merge)) {
+        source.merge = merge;
+      } else {
+        console.error(`⚠️ Ignoring ${prefix}_MERGE=${merge}, expected one of ${MERGE_MODES.join(', ')}`);
+      }
+    }
+  }
+
+  // DATA_SOURCE_MODULES is a comma-separated list of modules that export a
+  // DataSource instance, a DataSource subclass or a factory returning one
+  loadModules(modules = process.env.DATA_SOURCE_MODULES) {
+    if (!modules) return;
+
+    modules.split(',').map(entry => entry.trim()).filter(Boolean).forEach(modulePath => {
+      try {
+        const exported = require(path.resolve(modulePath));
+        let source = exported;
+        if (typeof exported === 'function') {
+          source = exported.prototype instanceof DataSource ? new exported() : exported();
+        }
+        this.register(source);
+      } catch (error) {
+        console.error(`❌ Failed to load data source module ${modulePath}:`, error.message);
+      }
+    });
+  }
+
+  startAll() {
+    this.sources.filter(source => source.enabled).forEach(source => source.start());
+  }
+
+  stopAll() {
+    this.sources.forEach(source => source.stop());
+  }
+
+  async fetchAll() {
+    const results = [];
+
+    for (const source of this.sources) {
+      if (!source.enabled) continue;
+      if (source.merge === 'fallback' && results.length > 0) continue;
+
+      try {
+        const records = await source.fetchAircraft();
+        source.recordSuccess(records.length);
+        if (records.length > 0) {
+          results.push({ source, records });
+        }
+      } catch (error) {
+        source.recordFailure(error);
+        console.error(`${source.name} source error:`, error.message);
+      }
+    }
+
+    return {
+      aircraft: this.mergeRecords(results),
+      sources: results.map(({ source }) => source.name)
+    };
+  }
+
+  // Results arrive in priority order. When two sources report the same
+  // icao24 the record with the newer position wins (ties go to the higher
+  // priority source) and any fields it is missing are filled from the other.
+  mergeRecords(results) {
+    const merged = new Map();
+
+    results.forEach(({ records }) => {
+      records.forEach(record => {
+        if (!record.icao24) return;
+
+        const existing = merged.get(record.icao24);
+        if (!existing) {
+          merged.set(record.icao24, { ...record });
+          return;
+        }
+
+        const newer = (record.time_position || 0) > (existing.time_position || 0);
+        const winner = newer ? { ...record } : existing;
+        const loser = newer ? existing : record;
+
+        Object.keys(loser).forEach(key => {
+          if (winner[key] === null || winner[key] === undefined) {
+            winner[key] = loser[key];
+          }
+        });
+
+        merged.set(record.icao24, winner);
+      });
+    });
+
+    return Array.from(merged.values());
+  }
+
+  getHealth() {
+    return this.sources.map(source => ({
+      name: source.name,
+      status: source.getStatus(),
+      enabled: source.enabled,
+      priority: source.priority,
+      merge: source.merge,
+      ...source.health
+    }));
+  }
+}
+
+module.exports = {
+  SourceRegistry
+};
@@ -0,0 +1,11 @@
+// ADS-B feeds report imperial units; the aircraft table stores OpenSky's
+// metric ones (meters, m/s)
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FPM_TO_MS = 0.00508;
+
+module.exports = {
+  FEET_TO_METERS,
+  KNOTS_TO_MS,
+  FPM_TO_MS
+};
@@ -0,0 +1,136 @@
+const { aircraftService } = require('./aircraftService');
+const { regionService } = require('./regionService');
+
+// Pushes nearby-aircraft diffs to Server-Sent Events subscribers after
+// every aircraft update cycle
+class StreamService {
+  constructor() {
+    this.subscribers = new Map();
+    this.nextId = 1;
+    this.heartbeatInterval = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL) || 15;
+    this.heartbeatTimer = null;
+
+    aircraftService.on('updated', () => this.broadcast());
+  }
+
+  async subscribe(req, res, { latitude, longitude, radiusKm, observerAltitude, minElevation }) {
+    const id = this.nextId++;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const subscriber = {
+      id, res, latitude, longitude, radiusKm, observerAltitude, minElevation, known: new Map()
+    };
+    this.subscribers.set(id, subscriber);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.subscribers.delete(id);
+      if (this.subscribers.size === 0) this.stopHeartbeat();
+    });
+
+    regionService.recordQuery(latitude, longitude, radiusKm);
+
+    const aircraft = await this.getNearby(subscriber);
+    aircraft.forEach(plane => subscriber.known.set(plane.icao24, this.signature(plane)));
+    this.send(subscriber, 'snapshot', {
+      aircraft,
+      user_location: { latitude, longitude, altitude: observerAltitude },
+      search_radius_km: radiusKm,
+      min_elevation: minElevation,
+      timestamp: new Date().toISOString(),
+      count: aircraft.length
+    });
+  }
+
+  async broadcast() {
+    for (const subscriber of this.subscribers.values()) {
+      try {
+        regionService.recordQuery(subscriber.latitude, subscriber.longitude, subscriber.radiusKm);
+        const diff = this.diff(subscriber, await this.getNearby(subscriber));
+
+        if (diff.added.length || diff.updated.length || diff.removed.length) {
+          this.send(subscriber, 'diff', { ...diff, timestamp: new Date().toISOString() });
+        }
+      } catch (error) {
+        console.error(`Error streaming to subscriber ${subscriber.id}:`, error.message);
+      }
+    }
+  }
+
+  async getNearby({ latitude, longitude, radiusKm, observerAltitude, minElevation }) {
+    const aircraft = await aircraftService.getAircraftNearLocation(latitude, longitude, radiusKm, {
+      observerAltitude,
+      minElevation
+    });
+    return aircraft.map(plane => aircraftService.formatNearbyAircraft(plane));
+  }
+
+  diff(subscriber, aircraft) {
+    const added = [];
+    const updated = [];
+    const seen = new Set();
+
+    aircraft.forEach(plane => {
+      const signature = this.signature(plane);
+      const previous = subscriber.known.get(plane.icao24);
+      seen.add(plane.icao24);
+
+      if (previous === undefined) {
+        added.push(plane);
+      } else if (previous !== signature) {
+        updated.push(plane);
+      }
+      subscriber.known.set(plane.icao24, signature);
+    });
+
+    const removed = [];
+    subscriber.known.forEach((signature, icao24) => {
+      if (!seen.has(icao24)) {
+        removed.push(icao24);
+        subscriber.known.delete(icao24);
+      }
+    });
+
+    return { added, updated, removed };
+  }
+
+  // Row ids and last_updated change on every upsert, so leave them out
+  signature(plane) {
+    const { id, last_updated, ...fields } = plane;
+    return JSON.stringify(fields);
+  }
+
+  send(subscriber, event, data) {
+    subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers responses until flushed
+    if (subscriber.res.flush) subscriber.res.flush();
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.subscribers.forEach(subscriber => {
+        subscriber.res.write(': heartbeat\n\n');
+        if (subscriber.res.flush) subscriber.res.flush();
+      });
+    }, this.heartbeatInterval * 1000);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
+
+const streamService = new StreamService();
+
+module.exports = {
+  streamService
+};
@@ -0,0 +1,219 @@
+const EventEmitter = require('events');
+const { getDatabase } = require('../database/init');
+const { aircraftService } = require('./aircraftService');
+
+const RULE_KINDS = ['icao24', 'callsign', 'type', 'any'];
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Evaluates users' watch rules after every aircraft update cycle and
+// records a notification when an aircraft starts matching one. Emits
+// 'notification' for each, which the webhook service delivers.
+class WatchService extends EventEmitter {
+  constructor() {
+    super();
+    this.cooldownMinutes = parseInt(process.env.WATCH_NOTIFY_COOLDOWN_MINUTES) || 30;
+    this.retentionDays = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 30;
+    // "ruleId:icao24" -> ms of the last notification, so an aircraft lingering
+    // in range isn't reported every cycle
+    this.lastNotified = new Map();
+    this.loaded = false;
+
+    aircraftService.on('updated', () => {
+      this.evaluate().catch(error => {
+        console.error('❌ Error evaluating watch rules:', error.message);
+      });
+    });
+  }
+
+  async evaluate() {
+    const db = getDatabase();
+    const now = Date.now();
+
+    await this.loadRecentNotifications(db);
+
+    const rules = await this.getActiveRules(db);
+    for (const rule of rules) {
+      const aircraft = await aircraftService.getAircraftNearLocation(rule.center_latitude, rule.center_longitude, rule.radius_km);
+
+      for (const plane of aircraft.filter(candidate => this.matches(rule, candidate))) {
+        const key = `${rule.id}:${plane.icao24}`;
+        const last = this.lastNotified.get(key);
+
+        this.lastNotified.set(key, now);
+        if (last && now - last < this.cooldownMinutes * 60 * 1000) continue;
+
+        await this.notify(db, rule, plane);
+      }
+    }
+
+    this.lastNotified.forEach((at, key) => {
+      if (now - at >= this.cooldownMinutes * 60 * 1000) this.lastNotified.delete(key);
+    });
+
+    await run(db, 'DELETE FROM notifications WHERE created_at < datetime(\'now\', ?)', [`-${this.retentionDays} days`]);
+  }
+
+  // Enabled rules with their effective center: the rule's own coordinates,
+  // or the owner's stored location
+  async getActiveRules(db) {
+    return all(db, `
+      SELECT r.*,
+             COALESCE(r.latitude, l.latitude) AS center_latitude,
+             COALESCE(r.longitude, l.longitude) AS center_longitude
+      FROM watch_rules r
+      LEFT JOIN user_locations l ON l.user_id = r.user_id
+      WHERE r.enabled = 1
+        AND COALESCE(r.latitude, l.latitude) IS NOT NULL
+        AND COALESCE(r.longitude, l.longitude) IS NOT NULL
+    `);
+  }
+
+  matches(rule, plane) {
+    if (rule.max_altitude !== null && !(plane.altitude <= rule.max_altitude)) {
+      return false;
+    }
+
+    const value = (rule.value || '').toUpperCase();
+    switch (rule.kind) {
+      case 'icao24':
+        return plane.icao24 === rule.value;
+      case 'callsign':
+        return (plane.callsign || '').trim().toUpperCase().startsWith(value);
+      case 'type':
+        return (plane.typecode || '').toUpperCase() === value;
+      case 'any':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  async notify(db, rule, plane) {
+    const callsign = plane.callsign ? plane.callsign.trim() : null;
+    const name = callsign || plane.icao24;
+    const label = rule.label ? ` (${rule.label})` : '';
+    const message = `${name} is ${plane.distance_km.toFixed(1)} km away at ${Math.round(plane.altitude)} m${label}`;
+
+    const result = await run(db, `
+      INSERT INTO notifications (
+        user_id, rule_id, icao24, callsign, message, latitude, longitude, altitude, distance_km
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      rule.user_id,
+      rule.id,
+      plane.icao24,
+      callsign,
+      message,
+      plane.latitude,
+      plane.longitude,
+      plane.altitude,
+      Math.round(plane.distance_km * 100) / 100
+    ]);
+
+    console.log(`🔔 Watch rule ${rule.id} for ${rule.user_id}: ${message}`);
+
+    this.emit('notification', {
+      id: result.lastID,
+      user_id: rule.user_id,
+      rule_id: rule.id,
+      rule_label: rule.label,
+      message,
+      aircraft: aircraftService.formatNearbyAircraft(plane),
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // Seed the cooldown from notifications sent before a restart
+  async loadRecentNotifications(db) {
+    if (this.loaded) return;
+
+    const rows = await all(db, `
+      SELECT rule_id, icao24, CAST(strftime('%s', MAX(created_at)) AS INTEGER) AS created
+      FROM notifications
+      WHERE created_at > datetime('now', ?)
+      GROUP BY rule_id, icao24
+    `, [`-${this.cooldownMinutes} minutes`]);
+
+    rows.forEach(row => this.lastNotified.set(`${row.rule_id}:${row.icao24}`, row.created * 1000));
+    this.loaded = true;
+  }
+
+  async getRules(userId) {
+    return all(getDatabase(), 'SELECT * FROM watch_rules WHERE user_id = ? ORDER BY id', [userId]);
+  }
+
+  async createRule(userId, rule) {
+    const db = getDatabase();
+    const result = await run(db, `
+      INSERT INTO watch_rules (
+        user_id, label, kind, value, radius_km, max_altitude, latitude, longitude
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      rule.label,
+      rule.kind,
+      rule.value,
+      rule.radius_km,
+      rule.max_altitude,
+      rule.latitude,
+      rule.longitude
+    ]);
+
+    const [created] = await all(db, 'SELECT * FROM watch_rules WHERE id = ?', [result.lastID]);
+    return created;
+  }
+
+  // Resolves to false when the rule doesn't exist or belongs to someone else
+  async deleteRule(userId, ruleId) {
+    const result = await run(getDatabase(), 'DELETE FROM watch_rules WHERE id = ? AND user_id = ?', [ruleId, userId]);
+    return result.changes > 0;
+  }
+
+  // since is a unix timestamp in seconds
+  async getNotifications(userId, { since = null, limit = 50 } = {}) {
+    const params = [userId];
+    let sinceFilter = '';
+
+    if (since !== null) {
+      sinceFilter = 'AND created_at > datetime(?, \'unixepoch\')';
+      params.push(since);
+    }
+
+    return all(getDatabase(), `
+      SELECT * FROM notifications
+      WHERE user_id = ? ${sinceFilter}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `, [...params, limit]);
+  }
+}
+
+const watchService = new WatchService();
+
+module.exports = {
+  watchService,
+  RULE_KINDS
+};
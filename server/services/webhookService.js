@@ -0,0 +1,322 @@
+const axios = require('axios');
+const { getDatabase } = require('../database/init');
+const { aircraftService } = require('./aircraftService');
+const { eventService } = require('./eventService');
+const { watchService } = require('./watchService');
+const { calculateDistance } = require('../utils/geo');
+const { sign } = require('../utils/signature');
+const { checkWebhookUrl, httpAgent, httpsAgent } = require('../utils/webhookUrl');
+
+const WEBHOOK_EVENTS = ['aircraft.entered', 'aircraft.emergency', 'aircraft.alert', 'watch.match'];
+
+// Detector event types delivered as aircraft.emergency; the rest are
+// aircraft.alert
+const EMERGENCY_TYPES = ['hijack', 'radio_failure', 'emergency'];
+
+// Pending deliveries are picked up this often (seconds)
+const POLL_INTERVAL = 2;
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Delivers aircraft events to registered HTTP endpoints. Every delivery is
+// stored before it is sent and retried with exponential backoff, so
+// restarts don't lose queued events.
+class WebhookService {
+  constructor() {
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 5000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 10;
+    this.retentionDays = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 7;
+
+    // webhook id -> Set of icao24s last seen in its area
+    this.areaAircraft = new Map();
+    this.timer = null;
+    this.processing = false;
+    this.lastPrune = 0;
+
+    aircraftService.on('updated', () => this.handle(() => this.checkAreas()));
+    eventService.on('event', (event) => this.handle(() => this.dispatchDetectorEvent(event)));
+    watchService.on('notification', (notification) => this.handle(() => this.dispatchWatchMatch(notification)));
+  }
+
+  handle(task) {
+    task().catch(error => {
+      console.error('❌ Error dispatching webhooks:', error.message);
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.handle(() => this.processDue()), POLL_INTERVAL * 1000);
+    console.log('✅ Webhook delivery worker started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // All webhooks, or only those owned by userId
+  async getWebhooks(userId = null) {
+    const rows = userId
+      ? await all(getDatabase(), 'SELECT * FROM webhooks WHERE user_id = ? ORDER BY id', [userId])
+      : await all(getDatabase(), 'SELECT * FROM webhooks ORDER BY id');
+    return rows.map(row => ({ ...row, events: row.events.split(',') }));
+  }
+
+  async getWebhook(userId, id) {
+    const webhooks = await this.getWebhooks(userId);
+    return webhooks.find(webhook => webhook.id === id) || null;
+  }
+
+  async getSubscribers(eventType) {
+    const webhooks = await this.getWebhooks();
+    return webhooks.filter(webhook => webhook.enabled && webhook.events.includes(eventType));
+  }
+
+  inArea(webhook, latitude, longitude) {
+    if (webhook.latitude === null || webhook.longitude === null) return true;
+    if (latitude === null || latitude === undefined) return false;
+    return calculateDistance(webhook.latitude, webhook.longitude, latitude, longitude) <= webhook.radius_km;
+  }
+
+  // aircraft.entered: compare each area with the previous cycle. The first
+  // cycle after startup only records what is already there.
+  async checkAreas() {
+    const webhooks = await this.getSubscribers('aircraft.entered');
+
+    for (const webhook of webhooks) {
+      const aircraft = await aircraftService.getAircraftNearLocation(webhook.latitude, webhook.longitude, webhook.radius_km);
+      const previous = this.areaAircraft.get(webhook.id);
+      this.areaAircraft.set(webhook.id, new Set(aircraft.map(plane => plane.icao24)));
+
+      if (!previous) continue;
+
+      for (const plane of aircraft.filter(candidate => !previous.has(candidate.icao24))) {
+        await this.enqueue(webhook, 'aircraft.entered', {
+          aircraft: aircraftService.formatNearbyAircraft(plane)
+        });
+      }
+    }
+  }
+
+  async dispatchDetectorEvent(event) {
+    const eventType = EMERGENCY_TYPES.includes(event.type) ? 'aircraft.emergency' : 'aircraft.alert';
+    const webhooks = await this.getSubscribers(eventType);
+
+    for (const webhook of webhooks.filter(candidate => this.inArea(candidate, event.latitude, event.longitude))) {
+      await this.enqueue(webhook, eventType, { event });
+    }
+  }
+
+  async dispatchWatchMatch(notification) {
+    const webhooks = await this.getSubscribers('watch.match');
+
+    for (const webhook of webhooks.filter(candidate => candidate.user_id === notification.user_id)) {
+      await this.enqueue(webhook, 'watch.match', { notification });
+    }
+  }
+
+  // Store a delivery and start sending it without waiting for the receiver
+  async enqueue(webhook, eventType, data) {
+    const db = getDatabase();
+    const payload = {
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    await run(db, `
+      INSERT INTO webhook_deliveries (webhook_id, url, event_type, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?, strftime('%s', 'now'))
+    `, [webhook.id, webhook.url, eventType, JSON.stringify(payload)]);
+
+    this.handle(() => this.processDue());
+  }
+
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const db = getDatabase();
+      const due = await all(db, `
+        SELECT d.*, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= strftime('%s', 'now')
+        ORDER BY d.next_attempt_at
+        LIMIT 50
+      `);
+
+      for (const delivery of due) {
+        await this.attempt(db, delivery);
+      }
+
+      if (Date.now() - this.lastPrune > 3600 * 1000) {
+        this.lastPrune = Date.now();
+        await run(
+          db,
+          'DELETE FROM webhook_deliveries WHERE status != \'pending\' AND created_at < datetime(\'now\', ?)',
+          [`-${this.retentionDays} days`]
+        );
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async attempt(db, delivery) {
+    const attempt = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'AirplaneTracker-Webhook/1.0',
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+
+    if (delivery.secret) {
+      headers['X-Webhook-Signature'] = `sha256=${sign(delivery.secret, timestamp, delivery.payload)}`;
+    }
+
+    const startedAt = Date.now();
+    let statusCode = null;
+    // The host is checked again because its DNS may have changed since it
+    // was registered; the agents repeat the check for the address actually
+    // connected to
+    let error = await checkWebhookUrl(delivery.url);
+    const blocked = error !== null;
+
+    if (!blocked) {
+      try {
+        const response = await axios.post(delivery.url, delivery.payload, {
+          headers,
+          timeout: this.timeout,
+          validateStatus: () => true,
+          maxRedirects: 0,
+          httpAgent,
+          httpsAgent,
+          // Send the stored JSON as-is so the signature matches
+          transformRequest: [(body) => body]
+        });
+        statusCode = response.status;
+        if (statusCode < 200 || statusCode >= 300) {
+          error = `HTTP ${statusCode}`;
+        }
+      } catch (requestError) {
+        error = requestError.message;
+      }
+    }
+
+    await run(db, `
+      INSERT INTO webhook_attempts (delivery_id, attempt, status_code, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?)
+    `, [delivery.id, attempt, statusCode, error, Date.now() - startedAt]);
+
+    if (!error) {
+      await run(db, `
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [attempt, statusCode, delivery.id]);
+      return;
+    }
+
+    // Other 4xx (and 3xx, as redirects aren't followed) responses mean the
+    // receiver rejected the request outright
+    const retryable = !blocked && (statusCode === null || statusCode >= 500 || statusCode === 408 || statusCode === 429);
+    const giveUp = !retryable || attempt >= this.maxAttempts;
+    const delay = this.retryBaseSeconds * Math.pow(2, attempt - 1);
+
+    await run(db, `
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?
+      WHERE id = ?
+    `, [giveUp ? 'failed' : 'pending', attempt, statusCode, error, timestamp + delay, delivery.id]);
+
+    console.error(`⚠️ Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempt}): ${error}` +
+      (giveUp ? ', giving up' : `, retrying in ${delay}s`));
+  }
+
+  async createWebhook({ url, events, secret, description, user_id, latitude, longitude, radius_km }) {
+    const db = getDatabase();
+    const result = await run(db, `
+      INSERT INTO webhooks (url, secret, events, description, user_id, latitude, longitude, radius_km)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [url, secret, events.join(','), description, user_id, latitude, longitude, radius_km]);
+
+    const [webhook] = await all(db, 'SELECT * FROM webhooks WHERE id = ?', [result.lastID]);
+    return { ...webhook, events: webhook.events.split(',') };
+  }
+
+  async deleteWebhook(userId, id) {
+    const result = await run(getDatabase(), 'DELETE FROM webhooks WHERE id = ? AND user_id = ?', [id, userId]);
+    this.areaAircraft.delete(id);
+    return result.changes > 0;
+  }
+
+  // Recent deliveries for a webhook with every attempt made for each
+  async getDeliveries(webhookId, limit = 50) {
+    const db = getDatabase();
+    const deliveries = await all(db, `
+      SELECT id, event_type, status, attempts, last_status_code, last_error, payload,
+             created_at, delivered_at, datetime(next_attempt_at, 'unixepoch') AS next_attempt_at
+      FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `, [webhookId, limit]);
+
+    if (deliveries.length === 0) return [];
+
+    const attempts = await all(db, `
+      SELECT delivery_id, attempt, status_code, error, duration_ms, attempted_at
+      FROM webhook_attempts
+      WHERE delivery_id IN (${deliveries.map(() => '?').join(', ')})
+      ORDER BY attempt
+    `, deliveries.map(delivery => delivery.id));
+
+    return deliveries.map(delivery => ({
+      ...delivery,
+      payload: JSON.parse(delivery.payload),
+      attempts_log: attempts.filter(entry => entry.delivery_id === delivery.id)
+    }));
+  }
+
+  // Public view of a webhook; the secret is only returned on creation
+  formatWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, enabled: Boolean(rest.enabled), has_secret: Boolean(secret) };
+  }
+}
+
+const webhookService = new WebhookService();
+
+module.exports = {
+  webhookService,
+  WEBHOOK_EVENTS
+};
@@ -0,0 +1,117 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The database path is read when init.js is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'airplane-tracker-auth-'));
+process.env.DB_PATH = path.join(dataDir, 'test.db');
+
+// The database logs as it opens and migrates
+mock.method(console, 'log', () => {});
+
+const { getDatabase, initializeDatabase, closeDatabase } = require('../database/init');
+const { accountService } = require('../services/accountService');
+const { requireAuth } = require('../middleware/auth');
+
+let account;
+
+before(async () => {
+  await initializeDatabase();
+  account = await accountService.createAccount('tester');
+});
+
+after(() => {
+  closeDatabase();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Runs requireAuth for a request with headers; resolves to what it answered
+async function authenticate(headers) {
+  const req = { headers };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+
+  await requireAuth(req, res, () => { passed = true; });
+  return { passed, user: req.user, status: res.statusCode, body: res.body };
+}
+
+test('requests without a key are rejected', async () => {
+  const result = await authenticate({});
+
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(result.body.error, 'Unauthorized');
+});
+
+test('malformed and unknown keys are rejected', async () => {
+  for (const key of ['', 'not-a-key', 'atk_', `atk_${crypto.randomBytes(24).toString('base64url')}`, `${account.apiKey}x`]) {
+    const result = await authenticate({ authorization: `Bearer ${key}` });
+    assert.strictEqual(result.passed, false, key);
+    assert.strictEqual(result.status, 401, key);
+  }
+});
+
+test('a valid key is accepted as a bearer token or X-API-Key', async () => {
+  const bearer = await authenticate({ authorization: `Bearer ${account.apiKey}` });
+  assert.strictEqual(bearer.passed, true);
+  assert.strictEqual(bearer.user.id, account.user.id);
+  assert.strictEqual(bearer.user.key_id, account.key.id);
+
+  const header = await authenticate({ 'x-api-key': account.apiKey });
+  assert.strictEqual(header.passed, true);
+  assert.strictEqual(header.user.id, account.user.id);
+
+  const [key] = await query('SELECT last_used_at FROM api_keys WHERE id = ?', [account.key.id]);
+  assert.ok(key.last_used_at, 'last_used_at is recorded');
+});
+
+test('only the SHA-256 hash of a key is stored', async () => {
+  const rows = await query('SELECT * FROM api_keys WHERE user_id = ?', [account.user.id]);
+  const expected = crypto.createHash('sha256').update(account.apiKey).digest('hex');
+
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].key_hash, expected);
+  assert.strictEqual(rows[0].prefix, account.apiKey.slice(0, 10));
+  assert.ok(!JSON.stringify(rows).includes(account.apiKey), 'the key itself is not stored');
+});
+
+test('a revoked key is rejected while the account\'s other keys keep working', async () => {
+  const { apiKey, key } = await accountService.createKey(account.user.id, 'spare');
+  assert.strictEqual((await authenticate({ authorization: `Bearer ${apiKey}` })).passed, true);
+
+  assert.strictEqual(await accountService.revokeKey(account.user.id, key.id), true);
+  assert.strictEqual(await accountService.revokeKey(account.user.id, key.id), false);
+
+  const revoked = await authenticate({ authorization: `Bearer ${apiKey}` });
+  assert.strictEqual(revoked.passed, false);
+  assert.strictEqual(revoked.status, 401);
+
+  assert.strictEqual((await authenticate({ authorization: `Bearer ${account.apiKey}` })).passed, true);
+});
+
+test('keys can only be revoked by their owner', async () => {
+  const other = await accountService.createAccount('other');
+
+  assert.strictEqual(await accountService.revokeKey(account.user.id, other.key.id), false);
+  assert.strictEqual((await authenticate({ 'x-api-key': other.apiKey })).passed, true);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { formatCsvField, toCsv } = require('../utils/csv');
+
+test('fields are quoted only when they need it', () => {
+  assert.strictEqual(formatCsvField('BAW123'), 'BAW123');
+  assert.strictEqual(formatCsvField('Heathrow, London'), '"Heathrow, London"');
+  assert.strictEqual(formatCsvField('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(formatCsvField(null), '');
+  assert.strictEqual(formatCsvField(undefined), '');
+});
+
+test('text that a spreadsheet would run as a formula is exported as text', () => {
+  assert.strictEqual(formatCsvField('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+  assert.strictEqual(formatCsvField('+44 20 7946 0000'), "'+44 20 7946 0000");
+  assert.strictEqual(formatCsvField('-2+3'), "'-2+3");
+  assert.strictEqual(formatCsvField('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.strictEqual(formatCsvField('\t=1+1'), "'\t=1+1");
+});
+
+test('numbers keep their sign', () => {
+  assert.strictEqual(formatCsvField(-0.35), '-0.35');
+  assert.strictEqual(formatCsvField(51.47), '51.47');
+});
+
+test('toCsv writes a header and one escaped line per row', () => {
+  const csv = toCsv(
+    [{ callsign: '=cmd|calc', longitude: -0.45, notes: 'a, b' }],
+    ['callsign', 'longitude', 'notes']
+  );
+
+  assert.strictEqual(csv, "callsign,longitude,notes\r\n'=cmd|calc,-0.45,\"a, b\"\r\n");
+});
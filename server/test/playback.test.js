@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Two OpenSky frames with aircraft around Heathrow and one at JFK
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'playback');
+const SERVER = path.join(__dirname, '..', 'index.js');
+
+let server;
+let baseUrl;
+let dataDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Polls url until check accepts the parsed JSON body, or times out
+async function waitFor(url, check, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  let last;
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(url);
+      last = await response.json();
+      if (check(last)) return last;
+    } catch (error) {
+      last = error;
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Timed out waiting for ${url}: ${JSON.stringify(last)}`);
+}
+
+before(async () => {
+  const port = await freePort();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'airplane-tracker-test-'));
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: path.join(dataDir, 'test.db'),
+      PLAYBACK_DIR: FIXTURE_DIR,
+      PLAYBACK_MODE: 'step',
+      PLAYBACK_LOOP: 'false',
+      AIRCRAFT_UPDATE_INTERVAL: '59'
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  await waitFor(`${baseUrl}/api/health`, body => body.status === 'healthy');
+});
+
+after(() => {
+  if (server) server.kill();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('nearby aircraft come from the first recorded frame', async () => {
+  const body = await waitFor(
+    `${baseUrl}/api/aircraft/nearby?lat=51.47&lon=-0.45&radius=50`,
+    body => body.success && body.data.count > 0
+  );
+  const { aircraft, search_radius_km: radius } = body.data;
+
+  assert.strictEqual(radius, 50);
+  assert.deepStrictEqual(aircraft.map(plane => plane.icao24), ['4007f2', '3c6444']);
+
+  const [speedbird, lufthansa] = aircraft;
+  assert.strictEqual(speedbird.callsign, 'BAW123');
+  assert.strictEqual(speedbird.airline_icao, 'BAW');
+  assert.strictEqual(speedbird.latitude, 51.52);
+  assert.strictEqual(speedbird.longitude, -0.35);
+  assert.strictEqual(speedbird.altitude, 1520);
+  assert.strictEqual(speedbird.distance_km, 8.88);
+  assert.strictEqual(lufthansa.callsign, 'DLH4AB');
+  assert.strictEqual(lufthansa.distance_km, 12.94);
+
+  // Recorded position times are moved to the present
+  aircraft.forEach(plane => assert.ok(plane.seen_age_s < 60, `${plane.icao24} looks stale`));
+});
+
+test('aircraft outside the radius are left out', async () => {
+  const body = await waitFor(
+    `${baseUrl}/api/aircraft/nearby?lat=40.64&lon=-73.78&radius=25`,
+    body => body.success
+  );
+
+  assert.deepStrictEqual(body.data.aircraft.map(plane => plane.icao24), ['a1b2c3']);
+});
+
+test('replay refuses times older than the history retention', async () => {
+  const weekAgo = Math.floor(Date.now() / 1000) - 7 * 24 * 3600;
+  const response = await fetch(`${baseUrl}/api/replay/nearby?lat=51.47&lon=-0.45&at=${weekAgo}`);
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(body.error, 'Time out of range');
+  assert.match(body.message, /HISTORY_RETENTION_HOURS/);
+});
@@ -0,0 +1,117 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+// Limits are read when rateLimit.js is loaded. No database is opened for
+// requests without an API key.
+process.env.DB_PATH = path.join(os.tmpdir(), 'airplane-tracker-rate-limit.db');
+process.env.RATE_LIMIT_LOCATION_IP = '3';
+process.env.RATE_LIMIT_GEOCODE_IP = '3';
+process.env.RATE_LIMIT_GEOCODE_GLOBAL = '5';
+
+// Buckets refill from Date.now(), which the tests move forward by hand
+let clock = Date.UTC(2024, 5, 1, 12, 0, 0);
+mock.method(Date, 'now', () => clock);
+
+const { rateLimit } = require('../middleware/rateLimit');
+
+function advance(seconds) {
+  clock += seconds * 1000;
+}
+
+// Runs limiter for a request from ip; resolves to what it answered
+async function request(limiter, ip) {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    body: null,
+    set(name, value) {
+      if (typeof name === 'object') {
+        Object.assign(headers, name);
+      } else {
+        headers[name] = value;
+      }
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+
+  await limiter({ headers: {}, ip }, res, () => { passed = true; });
+  return { passed, status: res.statusCode, headers, body: res.body };
+}
+
+test('a client may burst up to its limit, then gets 429 with Retry-After', async () => {
+  const limiter = rateLimit('location');
+
+  for (const remaining of ['2', '1', '0']) {
+    const allowed = await request(limiter, '203.0.113.1');
+    assert.strictEqual(allowed.passed, true);
+    assert.strictEqual(allowed.headers['RateLimit-Limit'], '3');
+    assert.strictEqual(allowed.headers['RateLimit-Remaining'], remaining);
+  }
+
+  const limited = await request(limiter, '203.0.113.1');
+  assert.strictEqual(limited.passed, false);
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.body.error, 'Too many requests');
+  // One token every 60 / 3 seconds
+  assert.strictEqual(limited.headers['Retry-After'], '20');
+  assert.strictEqual(limited.headers['RateLimit-Reset'], '60');
+
+  // Other clients have buckets of their own
+  assert.strictEqual((await request(limiter, '203.0.113.2')).passed, true);
+});
+
+test('tokens refill at the limit per minute', async () => {
+  const limiter = rateLimit('location');
+  const ip = '203.0.113.10';
+
+  for (let i = 0; i < 3; i++) await request(limiter, ip);
+
+  advance(5);
+  const early = await request(limiter, ip);
+  assert.strictEqual(early.passed, false);
+  assert.strictEqual(early.headers['Retry-After'], '15');
+
+  advance(15);
+  assert.strictEqual((await request(limiter, ip)).passed, true);
+  assert.strictEqual((await request(limiter, ip)).passed, false);
+
+  // A full minute refills the bucket, but never beyond the limit
+  advance(600);
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await request(limiter, ip)).passed, true);
+  }
+  assert.strictEqual((await request(limiter, ip)).passed, false);
+});
+
+test('geocoding is also limited across all clients', async () => {
+  const limiter = rateLimit('geocode');
+
+  for (let i = 1; i <= 5; i++) {
+    assert.strictEqual((await request(limiter, `198.51.100.${i}`)).passed, true);
+  }
+
+  const limited = await request(limiter, '198.51.100.6');
+  assert.strictEqual(limited.passed, false);
+  assert.strictEqual(limited.status, 429);
+  assert.match(limited.body.message, /busy for all clients/);
+  // One global token every 60 / 5 seconds
+  assert.strictEqual(limited.headers['Retry-After'], '12');
+
+  advance(12);
+  assert.strictEqual((await request(limiter, '198.51.100.6')).passed, true);
+});
+
+test('unknown groups are refused when the limiter is created', () => {
+  assert.throws(() => rateLimit('nope'), /Unknown rate limit group: nope/);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ReadsbJsonSource } = require('../services/sources/readsbJsonSource');
+
+// A saved aircraft.json from long ago: one aircraft whose position is 5 s
+// old, one whose position is too old to use
+const SNAPSHOT_NOW = Date.UTC(2023, 10, 14, 22, 13, 20) / 1000;
+const SNAPSHOT = {
+  now: SNAPSHOT_NOW,
+  aircraft: [
+    { hex: '4ca7b5', flight: 'RYR1AB  ', lat: 0, lon: 0, alt_baro: 10000, seen_pos: 5, seen: 2 },
+    { hex: '3c6444', lat: 51.5, lon: -0.1, alt_baro: 3000, seen_pos: 120, seen: 1 }
+  ]
+};
+
+test('a file is read with ages counted from the read time', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readsb-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'aircraft.json');
+  fs.writeFileSync(file, JSON.stringify(SNAPSHOT));
+
+  const source = new ReadsbJsonSource({ location: file });
+  const before = Math.floor(Date.now() / 1000);
+  const aircraft = await source.fetchAircraft();
+  const after = Math.floor(Date.now() / 1000);
+
+  assert.deepStrictEqual(aircraft.map(ac => ac.icao24), ['4ca7b5']);
+  const [plane] = aircraft;
+  assert.strictEqual(plane.callsign, 'RYR1AB');
+  assert.strictEqual(plane.latitude, 0);
+  assert.strictEqual(plane.longitude, 0);
+  // Well inside AIRCRAFT_STALE_SECONDS, so the aircraft is not expired
+  assert.ok(plane.time_position >= before - 6 && plane.time_position <= after - 5);
+  assert.ok(plane.time_velocity >= before - 3 && plane.time_velocity <= after - 2);
+});
+
+test('a URL keeps the now it reports', async (t) => {
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(SNAPSHOT));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const source = new ReadsbJsonSource({ location: `http://127.0.0.1:${server.address().port}/data/aircraft.json` });
+  const [plane] = await source.fetchAircraft();
+
+  assert.strictEqual(plane.time_position, SNAPSHOT_NOW - 5);
+  assert.strictEqual(plane.time_velocity, SNAPSHOT_NOW - 2);
+});
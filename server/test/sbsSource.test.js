@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { SbsSource } = require('../services/sources/sbsSource');
+const { FEET_TO_METERS, KNOTS_TO_MS, FPM_TO_MS } = require('../services/sources/units');
+
+// The capture sbs:replay serves: two aircraft, then a run of malformed lines
+const CAPTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'capture.sbs'), 'utf8');
+const [MSG1, MSG3, MSG4] = CAPTURE.split('\r\n');
+
+const RECEIVED_AT = Date.UTC(2023, 10, 14, 22, 13, 20);
+
+// Polls check until it returns true, or fails after timeoutMs
+async function waitUntil(check, description, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// A fake receiver that sends the capture to every client, like sbs:replay
+function startFeed(port = 0) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.write(CAPTURE);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      connections: () => sockets.size,
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+}
+
+test('MSG 1 sets the callsign', () => {
+  const source = new SbsSource();
+  source.ingestLine(MSG1, RECEIVED_AT);
+
+  const state = source.states.get('4007f2');
+  assert.strictEqual(state.callsign, 'BAW123');
+  assert.strictEqual(state.latitude, null);
+  assert.strictEqual(state.last_seen, RECEIVED_AT / 1000);
+});
+
+test('MSG 3 sets altitude, position and flags', () => {
+  const source = new SbsSource();
+  source.ingestLine(MSG3, RECEIVED_AT);
+
+  const state = source.states.get('4007f2');
+  assert.strictEqual(state.altitude, 5000 * FEET_TO_METERS);
+  assert.strictEqual(state.latitude, 51.52);
+  assert.strictEqual(state.longitude, -0.35);
+  assert.strictEqual(state.time_position, RECEIVED_AT / 1000);
+  assert.strictEqual(state.on_ground, false);
+  assert.strictEqual(state.spi, false);
+  assert.strictEqual(state.velocity, null);
+});
+
+test('MSG 4 sets speed, track and vertical rate', () => {
+  const source = new SbsSource();
+  source.ingestLine(MSG4, RECEIVED_AT);
+
+  const state = source.states.get('4007f2');
+  assert.strictEqual(state.velocity, 160 * KNOTS_TO_MS);
+  assert.strictEqual(state.time_velocity, RECEIVED_AT / 1000);
+  assert.strictEqual(state.true_track, 265);
+  assert.strictEqual(state.vertical_rate, -832 * FPM_TO_MS);
+  assert.strictEqual(state.latitude, null);
+});
+
+test('malformed lines create no aircraft and keep known values', () => {
+  const source = new SbsSource();
+  [MSG1, MSG3, MSG4].forEach(line => source.ingestLine(line, RECEIVED_AT));
+  const before = { ...source.states.get('4007f2') };
+
+  [
+    'MSG,3,1,1,A1B2C3',
+    'MSG,3,1,1,,1,2023/11/14,22:13:22.000,2023/11/14,22:13:22.000,,6000,,,52.00000,0.10000,,,,,,',
+    'MSG,3,1,1,NOTHEX,1,2023/11/14,22:13:22.100,2023/11/14,22:13:22.100,,6000,,,52.00000,0.10000,,,,,,',
+    'MSG,3,1,1,4007F2,1,2023/11/14,22:13:22.200,2023/11/14,22:13:22.200,,high,,,north,-0.36000,,,,,,',
+    'MSG,4,1,1,4007F2,1,2023/11/14,22:13:22.300,2023/11/14,22:13:22.300,,,fast,265,,,n/a,,,,,',
+    'STA,,1,1,4007F2,1,2023/11/14,22:13:22.400,2023/11/14,22:13:22.400,RM',
+    'MSG,garbage',
+    ''
+  ].forEach(line => source.ingestLine(line, RECEIVED_AT + 2000));
+
+  assert.deepStrictEqual(Array.from(source.states.keys()), ['4007f2']);
+  assert.deepStrictEqual(source.states.get('4007f2'), { ...before, last_seen: RECEIVED_AT / 1000 + 2 });
+});
+
+test('a capture split across chunks assembles per-aircraft state', async () => {
+  const source = new SbsSource();
+  for (let i = 0; i < CAPTURE.length; i += 37) {
+    source.handleData(CAPTURE.slice(i, i + 37));
+  }
+
+  const aircraft = await source.fetchAircraft();
+  assert.deepStrictEqual(aircraft.map(plane => plane.icao24), ['4007f2', '3c6444']);
+
+  const lufthansa = aircraft[1];
+  assert.strictEqual(lufthansa.callsign, 'DLH4AB');
+  assert.strictEqual(lufthansa.altitude, 10000 * FEET_TO_METERS);
+  assert.strictEqual(lufthansa.latitude, 51.41);
+  assert.strictEqual(lufthansa.longitude, -0.61);
+  assert.strictEqual(lufthansa.velocity, 250 * KNOTS_TO_MS);
+  assert.strictEqual(lufthansa.vertical_rate, 1280 * FPM_TO_MS);
+  assert.strictEqual('last_seen' in lufthansa, false);
+});
+
+test('connects to a feed, parses its stream and reconnects after it closes', async (t) => {
+  // Connection logs would interleave with the test runner's output
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  let feed = await startFeed();
+  const { port } = feed;
+  const source = new SbsSource({ host: '127.0.0.1', port, reconnectDelay: 50 });
+
+  try {
+    source.start();
+    await waitUntil(() => source.connected && source.states.size === 2, 'the capture to be parsed');
+    assert.deepStrictEqual((await source.fetchAircraft()).map(plane => plane.icao24), ['4007f2', '3c6444']);
+
+    await feed.close();
+    await waitUntil(() => !source.connected, 'the source to notice the feed closing');
+
+    // Aircraft heard before the drop are still served until they go stale
+    assert.strictEqual((await source.fetchAircraft()).length, 2);
+
+    source.states.clear();
+    feed = await startFeed(port);
+    await waitUntil(() => source.connected && source.states.size === 2, 'the source to reconnect');
+    assert.strictEqual(feed.connections(), 1);
+  } finally {
+    source.stop();
+    await feed.close();
+  }
+});
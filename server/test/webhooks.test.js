@@ -0,0 +1,155 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Read when webhookUrl is loaded: the receivers below run on localhost
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+
+// The services log as they load and as deliveries fail
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const { checkWebhookUrl, isBlockedAddress } = require('../utils/webhookUrl');
+const { sign, verifySignature } = require('../utils/signature');
+const { webhookService } = require('../services/webhookService');
+
+const SECRET = 'whsec_test';
+
+// Stands in for the database connection, keeping every statement run
+function fakeDatabase() {
+  const statements = [];
+  return {
+    statements,
+    run(sql, params, callback) {
+      statements.push({ sql, params });
+      callback.call({ changes: 1 }, null);
+    }
+  };
+}
+
+// The final status update written for a delivery
+function deliveryUpdate(db) {
+  return db.statements.filter(statement => statement.sql.includes('UPDATE webhook_deliveries')).pop();
+}
+
+// Receiver on localhost that answers every request with respond and keeps
+// what it was sent
+async function startReceiver(t, respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      respond(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  t.after(() => server.close());
+  return { url: `http://localhost:${server.address().port}/hook`, requests };
+}
+
+function delivery(url) {
+  return {
+    id: 7,
+    url,
+    event_type: 'aircraft.emergency',
+    payload: JSON.stringify({ type: 'aircraft.emergency', data: { event: { icao24: '4ca7b5' } } }),
+    attempts: 0,
+    secret: SECRET
+  };
+}
+
+test('loopback, private, link-local and mapped addresses are blocked', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0',
+    '169.254.169.254', '::1', 'fd00::1', 'fe80::1',
+    '::ffff:127.0.0.1', '::ffff:169.254.169.254', '64:ff9b::a9fe:a9fe',
+    'localhost'
+  ].forEach(address => assert.strictEqual(isBlockedAddress(address), true, address));
+
+  ['8.8.8.8', '93.184.216.34', '::ffff:8.8.8.8', '2606:4700::1']
+    .forEach(address => assert.strictEqual(isBlockedAddress(address), false, address));
+});
+
+test('webhook URLs are refused for bad schemes, credentials and private hosts', async () => {
+  assert.strictEqual(await checkWebhookUrl('not a url'), 'url must be an http(s) URL');
+  assert.strictEqual(await checkWebhookUrl('ftp://example.com/'), 'url must be an http(s) URL');
+  assert.strictEqual(await checkWebhookUrl('http://user:pw@93.184.216.34/'), 'url must not contain credentials');
+
+  for (const url of [
+    'http://127.0.0.1:4000/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:7f00:1]/'
+  ]) {
+    assert.match(await checkWebhookUrl(url), /private or reserved address/, url);
+  }
+
+  assert.strictEqual(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+  assert.strictEqual(await checkWebhookUrl('http://localhost:4000/'), null);
+});
+
+test('signatures cover the timestamp and body', () => {
+  const body = '{"type":"watch.match"}';
+  const signature = `sha256=${sign(SECRET, 1700000000, body)}`;
+
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.strictEqual(verifySignature(SECRET, 1700000000, body, signature), true);
+  assert.strictEqual(verifySignature(SECRET, 1700000001, body, signature), false);
+  assert.strictEqual(verifySignature(SECRET, 1700000000, `${body} `, signature), false);
+  assert.strictEqual(verifySignature('other', 1700000000, body, signature), false);
+  assert.strictEqual(verifySignature(SECRET, 1700000000, body, 'sha256=abc'), false);
+  assert.strictEqual(verifySignature(SECRET, 1700000000, body, undefined), false);
+});
+
+test('a delivery is sent as stored with a verifiable signature', async (t) => {
+  const receiver = await startReceiver(t, res => res.end('ok'));
+  const db = fakeDatabase();
+  const sent = delivery(receiver.url);
+
+  await webhookService.attempt(db, sent);
+
+  assert.strictEqual(receiver.requests.length, 1);
+  const [{ headers, body }] = receiver.requests;
+  assert.strictEqual(body, sent.payload);
+  assert.strictEqual(headers['x-webhook-event'], 'aircraft.emergency');
+  assert.strictEqual(headers['x-webhook-delivery'], '7');
+  assert.strictEqual(
+    verifySignature(SECRET, headers['x-webhook-timestamp'], body, headers['x-webhook-signature']),
+    true
+  );
+
+  assert.deepStrictEqual(deliveryUpdate(db).params, [1, 200, 7]);
+});
+
+test('redirects are not followed and fail the delivery', async (t) => {
+  const receiver = await startReceiver(t, (res) => {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+    res.end();
+  });
+  const db = fakeDatabase();
+
+  await webhookService.attempt(db, delivery(receiver.url));
+
+  assert.strictEqual(receiver.requests.length, 1);
+  const [status, attempts, statusCode, error] = deliveryUpdate(db).params;
+  assert.strictEqual(status, 'failed');
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(statusCode, 302);
+  assert.strictEqual(error, 'HTTP 302');
+});
+
+test('deliveries to private addresses are refused without a request', async (t) => {
+  const receiver = await startReceiver(t, res => res.end('ok'));
+  const db = fakeDatabase();
+  const blockedUrl = receiver.url.replace('localhost', '127.0.0.1');
+
+  await webhookService.attempt(db, delivery(blockedUrl));
+
+  assert.strictEqual(receiver.requests.length, 0);
+  const [status, , statusCode, error] = deliveryUpdate(db).params;
+  assert.strictEqual(status, 'failed');
+  assert.strictEqual(statusCode, null);
+  assert.match(error, /private or reserved address/);
+});
@@ -0,0 +1,23 @@
+// Airline callsigns are a three-letter ICAO designator followed by a flight
+// number, e.g. "UAL123" or "BAW9K". Anything else (registrations such as
+// "N12345", military or test callsigns) has no airline part.
+const AIRLINE_CALLSIGN = /^([A-Z]{3})(\d[0-9A-Z]{0,4})$/;
+
+function decodeCallsign(callsign) {
+  const normalized = (callsign || '').trim().toUpperCase();
+  const match = AIRLINE_CALLSIGN.exec(normalized);
+
+  if (!match) {
+    return { callsign: normalized || null, airline_icao: null, flight_number: null };
+  }
+
+  return {
+    callsign: normalized,
+    airline_icao: match[1],
+    flight_number: match[2].replace(/^0+(?=\d)/, '')
+  };
+}
+
+module.exports = {
+  decodeCallsign
+};
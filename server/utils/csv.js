@@ -0,0 +1,107 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Split one CSV record into fields, honouring RFC 4180 quoting
+function parseCsvLine(line, delimiter = ',') {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+// Quoted fields may contain newlines, so a record is complete only once its
+// quotes are balanced
+function hasOpenQuote(text) {
+  let open = false;
+  for (const char of text) {
+    if (char === '"') open = !open;
+  }
+  return open;
+}
+
+// Stream the rows of a CSV file as objects keyed by lower-cased header name.
+// Files without a header row pass the column names as header; with quote
+// off, quote characters are ordinary text (as in GeoNames dumps).
+async function* readCsv(filePath, { delimiter = ',', header: columns = null, quote = true } = {}) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  let header = columns;
+  let pending = '';
+
+  for await (const line of lines) {
+    pending = pending ? `${pending}\n${line}` : line;
+    if (quote && hasOpenQuote(pending)) continue;
+
+    const record = pending;
+    pending = '';
+    if (!record.trim()) continue;
+
+    const fields = quote ? parseCsvLine(record, delimiter) : record.split(delimiter);
+    if (!header) {
+      header = fields.map(name => name.trim().replace(/^\uFEFF/, '').toLowerCase());
+      continue;
+    }
+
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = fields[i] !== undefined ? fields[i].trim() : '';
+    });
+    yield row;
+  }
+}
+
+// Text starting with one of these is run as a formula by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for a CSV field when it needs it (RFC 4180). Strings that a
+// spreadsheet would evaluate get a leading ' so they open as text; numbers,
+// negative ones included, are left alone.
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV document with a header row from columns and one line per row object
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => formatCsvField(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parseCsvLine,
+  readCsv,
+  formatCsvField,
+  toCsv
+};
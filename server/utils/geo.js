@@ -0,0 +1,128 @@
+const EARTH_RADIUS_KM = 6371;
+
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+function toDegrees(radians) {
+  return radians * (180 / Math.PI);
+}
+
+// Great-circle distance in kilometers (haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+// Initial great-circle bearing from the first point to the second, in
+// degrees clockwise from true north (0-360)
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Point reached travelling distanceKm from a start point along a great
+// circle with the given initial bearing
+function destinationPoint(lat, lon, bearing, distanceKm) {
+  const angularDistance = distanceKm / EARTH_RADIUS_KM;
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+  const theta = toRadians(bearing);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(angularDistance) +
+    Math.cos(phi1) * Math.sin(angularDistance) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angularDistance) * Math.cos(phi1),
+    Math.cos(angularDistance) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return {
+    latitude: toDegrees(phi2),
+    longitude: ((toDegrees(lambda2) + 540) % 360) - 180
+  };
+}
+
+// 16-point compass label for a bearing in degrees
+function compassPoint(bearing) {
+  const index = Math.round((((bearing % 360) + 360) % 360) / 22.5) % 16;
+  return COMPASS_POINTS[index];
+}
+
+// Smallest angle between two bearings (0-180)
+function angleBetween(a, b) {
+  return Math.abs(((a - b + 540) % 360) - 180);
+}
+
+// Boxes ({ lamin, lamax, lomin, lomax }) that together cover every point
+// within radiusKm of the center. A circle crossing the antimeridian is split
+// in two and one containing a pole spans every longitude. See
+// http://janmatuschek.de/LatitudeLongitudeBoundingCoordinates
+function boundingBoxes(lat, lon, radiusKm) {
+  const angularRadius = radiusKm / EARTH_RADIUS_KM;
+  const latRad = toRadians(lat);
+  const minLat = latRad - angularRadius;
+  const maxLat = latRad + angularRadius;
+
+  if (minLat <= -Math.PI / 2 || maxLat >= Math.PI / 2 || angularRadius >= Math.PI) {
+    return [{
+      lamin: Math.max(-90, toDegrees(minLat)),
+      lamax: Math.min(90, toDegrees(maxLat)),
+      lomin: -180,
+      lomax: 180
+    }];
+  }
+
+  const deltaLon = toDegrees(Math.asin(Math.sin(angularRadius) / Math.cos(latRad)));
+  const lamin = toDegrees(minLat);
+  const lamax = toDegrees(maxLat);
+  const lomin = lon - deltaLon;
+  const lomax = lon + deltaLon;
+
+  if (lomin < -180) {
+    return [
+      { lamin, lamax, lomin: lomin + 360, lomax: 180 },
+      { lamin, lamax, lomin: -180, lomax }
+    ];
+  }
+  if (lomax > 180) {
+    return [
+      { lamin, lamax, lomin, lomax: 180 },
+      { lamin, lamax, lomin: -180, lomax: lomax - 360 }
+    ];
+  }
+  return [{ lamin, lamax, lomin, lomax }];
+}
+
+// True when the report carries a position; 0 is a valid latitude or longitude
+function hasPosition(aircraft) {
+  return Number.isFinite(aircraft.latitude) && Number.isFinite(aircraft.longitude);
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toRadians,
+  toDegrees,
+  calculateDistance,
+  calculateBearing,
+  destinationPoint,
+  compassPoint,
+  angleBetween,
+  boundingBoxes,
+  hasPosition
+};
@@ -0,0 +1,14 @@
+// Decimal places kept for stored user coordinates. 2 places is roughly
+// 1 km, enough for nearby-aircraft queries without pinning down a home.
+const configuredPrecision = parseInt(process.env.LOCATION_PRECISION);
+const LOCATION_PRECISION = Number.isNaN(configuredPrecision) ? 2 : Math.min(Math.max(configuredPrecision, 0), 6);
+
+function roundCoordinate(value, decimals = LOCATION_PRECISION) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  LOCATION_PRECISION,
+  roundCoordinate
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 over `${timestamp}.${body}`, hex encoded. Including the
+// timestamp lets receivers reject replayed deliveries.
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Constant-time check of an "sha256=<hex>" signature header
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = `sha256=${sign(secret, timestamp, body)}`;
+  return typeof signature === 'string' &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+module.exports = {
+  sign,
+  verifySignature
+};
@@ -0,0 +1,12 @@
+// Accept unix seconds or any date string Date.parse understands; returns
+// unix seconds (NaN when unparseable)
+function parseTimestamp(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.floor(parseFloat(value));
+  }
+  return Math.floor(Date.parse(value) / 1000);
+}
+
+module.exports = {
+  parseTimestamp
+};
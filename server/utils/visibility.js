@@ -0,0 +1,78 @@
+const {
+  EARTH_RADIUS_KM,
+  toRadians,
+  toDegrees,
+  calculateDistance,
+  calculateBearing,
+  compassPoint,
+  angleBetween
+} = require('./geo');
+
+// Track within this many degrees of pointing at (or away from) the observer
+// counts as moving toward (or away from) them
+const MOTION_CONE_DEG = 60;
+
+// Where an aircraft appears in the sky for an observer on a spherical earth.
+// Altitudes are in meters; geo_altitude (GNSS) is preferred over the
+// barometric altitude when the feed provides it.
+function observerView(observer, aircraft) {
+  const observerAltitude = observer.altitude || 0;
+  const aircraftAltitude = aircraft.geo_altitude ?? aircraft.altitude ?? 0;
+
+  const groundDistance = calculateDistance(
+    observer.latitude, observer.longitude, aircraft.latitude, aircraft.longitude
+  );
+  const centralAngle = groundDistance / EARTH_RADIUS_KM;
+  const observerRadius = EARTH_RADIUS_KM + observerAltitude / 1000;
+  const aircraftRadius = EARTH_RADIUS_KM + aircraftAltitude / 1000;
+
+  // Law of cosines across the earth's center, then the angle above the
+  // observer's local horizontal plane
+  const slantRange = Math.sqrt(
+    observerRadius * observerRadius +
+    aircraftRadius * aircraftRadius -
+    2 * observerRadius * aircraftRadius * Math.cos(centralAngle)
+  );
+  const sinElevation = slantRange > 0
+    ? (aircraftRadius * Math.cos(centralAngle) - observerRadius) / slantRange
+    : 1;
+  const elevation = toDegrees(Math.asin(Math.min(1, Math.max(-1, sinElevation))));
+
+  const azimuth = calculateBearing(observer.latitude, observer.longitude, aircraft.latitude, aircraft.longitude);
+
+  return {
+    elevation_deg: elevation,
+    azimuth_deg: azimuth,
+    compass_direction: compassPoint(azimuth),
+    slant_range_km: slantRange,
+    above_horizon: elevation >= 0,
+    ...relativeMotion(observer, aircraft)
+  };
+}
+
+// Whether the aircraft's track points toward or away from the observer,
+// and how fast it is closing the ground distance (m/s, negative when opening)
+function relativeMotion(observer, aircraft) {
+  if (aircraft.true_track === null || aircraft.true_track === undefined || !aircraft.velocity) {
+    return { relative_motion: null, closing_speed_ms: null };
+  }
+
+  const bearingToObserver = calculateBearing(
+    aircraft.latitude, aircraft.longitude, observer.latitude, observer.longitude
+  );
+  const offset = angleBetween(aircraft.true_track, bearingToObserver);
+
+  let motion = 'crossing';
+  if (offset <= MOTION_CONE_DEG) motion = 'toward';
+  if (offset >= 180 - MOTION_CONE_DEG) motion = 'away';
+
+  return {
+    relative_motion: motion,
+    closing_speed_ms: aircraft.velocity * Math.cos(toRadians(offset))
+  };
+}
+
+module.exports = {
+  observerView,
+  relativeMotion
+};
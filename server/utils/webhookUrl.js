@@ -0,0 +1,95 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Hosts webhooks may reach even when they resolve to a private address,
+// e.g. a receiver on the same machine during development
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local (including cloud metadata at
+// 169.254.169.254), carrier-grade NAT, unique-local, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isAllowedHost(hostname) {
+  return ALLOWED_HOSTS.includes(hostname.toLowerCase());
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that refuses private addresses. Used by the delivery agents,
+// so a host that re-resolves to an internal address after registration is
+// still refused at connect time.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!isAllowedHost(hostname) && addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// Resolves to null when a webhook may be sent to url, otherwise to the
+// reason it may not. IP literals never reach the lookup hook, so they are
+// checked here.
+async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be an http(s) URL';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an http(s) URL';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+
+  // URL keeps the brackets around IPv6 literals
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (isAllowedHost(hostname)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `${hostname} could not be resolved`;
+  }
+
+  if (addresses.some(entry => isBlockedAddress(entry.address))) {
+    return `${hostname} resolves to a private or reserved address; add it to WEBHOOK_ALLOWED_HOSTS to allow it`;
+  }
+  return null;
+}
+
+module.exports = {
+  checkWebhookUrl,
+  isBlockedAddress,
+  httpAgent,
+  httpsAgent
+};